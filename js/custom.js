@@ -196,6 +196,84 @@
         }
     }
 
+    // ===== 代码高亮规则 =====
+    // 每种语言是一组按顺序尝试的 [类型, 粘连正则, 前文正则]，类型对应 custom.css 里的 .code-* 样式
+    // 前文正则检查当前行在匹配位置之前的内容，代替旧版 Safari 不支持的后行断言
+    const JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|throw|try|typeof|var|void|while|with|yield';
+    const TS_KEYWORDS = `${JS_KEYWORDS}|abstract|as|declare|enum|implements|infer|interface|is|keyof|namespace|private|protected|public|readonly|satisfies|type`;
+
+    const jsRules = (keywords, extra = []) => [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+        // 只有在表达式开头才是正则字面量，否则是除号
+        ['regex', /\/(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuyv]*/y, /(?:^|[(,=:[!&|?{};~+\-*%<>^]|\b(?:return|typeof|case|do|else|in|of|void|yield|await|delete|throw|new))\s*$/],
+        ['string', /(["'])(?:\\[\s\S]|(?!\1)[^\\\n])*\1?|`(?:\\[\s\S]|[^\\`])*`?/y],
+        ...extra,
+        ['number', /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?n?)\b/iy],
+        ['keyword', new RegExp(`\\b(?:${keywords})\\b`, 'y')],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity|this)\b/y],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+        ['class-name', /\b[A-Z][\w$]*/y],
+        [null, /[A-Za-z_$][\w$]*/y]
+    ];
+
+    const tsTypes = ['type', /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown|void)\b/y];
+    const jsxTags = [
+        ['tag', /<\/?[A-Za-z][\w.-]*|\/>/y],
+        ['attr', /[A-Za-z-]+(?==[{"'])/y]
+    ];
+
+    const SYNTAX_RULES = {
+        js: jsRules(JS_KEYWORDS),
+        ts: jsRules(TS_KEYWORDS, [tsTypes]),
+        jsx: jsRules(JS_KEYWORDS, jsxTags),
+        tsx: jsRules(TS_KEYWORDS, [...jsxTags, tsTypes]),
+        css: [
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /(["'])(?:\\[\s\S]|(?!\1)[^\\\n])*\1?/y],
+            ['keyword', /@[\w-]+|!important\b/y],
+            ['property', /--?[\w-]+(?=\s*:[^;{}]*[;}])|[a-z-]+(?=\s*:[^;{}]*[;}])/y],
+            ['number', /#[\da-f]{3,8}\b|-?(?:\d*\.)?\d+(?:px|em|rem|%|vh|vw|vmin|vmax|s|ms|deg|fr|ch)?\b%?/iy],
+            ['function', /[\w-]+(?=\()/y],
+            ['selector', /[.#][\w-]+|::?[\w-]+/y],
+            [null, /[\w-]+/y]
+        ],
+        json: [
+            ['property', /"(?:\\.|[^"\\])*"(?=\s*:)/y],
+            ['string', /"(?:\\.|[^"\\])*"?/y],
+            ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+            ['literal', /\b(?:true|false|null)\b/y]
+        ],
+        bash: [
+            ['comment', /#[^\n]*/y, /(?:^|\s)$/],
+            ['string', /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/y],
+            ['variable', /\$(?:\{[^}]*\}?|\w+|[@#?$!*-])/y],
+            ['keyword', /\b(?:if|then|else|elif|fi|for|in|do|done|case|esac|while|until|function|return|export|local|source)\b/y],
+            ['function', /[A-Za-z_][\w.-]*/y, /(?:^\s*|[|;&(]\s*|\$\s+|sudo\s+)$/],
+            ['attr', /--?[\w-]+/y, /\s$/],
+            ['number', /\b\d+\b/y],
+            [null, /[\w.-]+/y]
+        ],
+        yaml: [
+            ['comment', /#[^\n]*/y, /(?:^|\s)$/],
+            ['property', /\s*["']?[\w.$-]+["']?(?=\s*:(?:\s|$))/y, /(?:^|-\s)$/],
+            ['string', /"(?:\\.|[^"\\])*"?|'[^']*'?/y],
+            ['literal', /\b(?:true|false|null|yes|no|on|off)\b|~/y],
+            ['number', /\b\d+(?:\.\d+)?\b/y],
+            ['variable', /[&*][\w-]+/y],
+            [null, /[\w.-]+/y]
+        ]
+    };
+
+    const SYNTAX_ALIASES = {
+        javascript: 'js',
+        mjs: 'js',
+        typescript: 'ts',
+        sh: 'bash',
+        shell: 'bash',
+        zsh: 'bash',
+        yml: 'yaml'
+    };
+
     // ===== 代码高亮增强 =====
     class CodeHighlighter {
         constructor() {
@@ -278,36 +356,89 @@
             });
         }
 
+        // 已由 Hexo 的 highlight.js / prism 渲染过的代码块直接跳过
+        isHighlighted(block) {
+            return Boolean(
+                block.closest('figure.highlight, .hljs') ||
+                block.classList.contains('hljs') ||
+                block.querySelector('.token, [class^="hljs"], [class*=" hljs"], span[class]')
+            );
+        }
+
+        getLanguage(block) {
+            const className = `${block.className} ${block.parentElement.className}`;
+            const match = className.match(/\b(?:language|lang)-([\w-]+)/);
+            if (!match) return null;
+            const name = match[1].toLowerCase();
+            return SYNTAX_ALIASES[name] || name;
+        }
+
+        // 按规则顺序在当前位置尝试匹配，未命中的字符原样输出
+        tokenize(code, rules) {
+            const tokens = [];
+            let plain = '';
+            let index = 0;
+
+            while (index < code.length) {
+                let token = null;
+                let before = null;
+                for (const [type, pattern, preceded] of rules) {
+                    if (preceded) {
+                        if (before === null) before = code.slice(code.lastIndexOf('\n', index - 1) + 1, index);
+                        if (!preceded.test(before)) continue;
+                    }
+                    pattern.lastIndex = index;
+                    const match = pattern.exec(code);
+                    if (match && match[0]) {
+                        token = { type, value: match[0] };
+                        break;
+                    }
+                }
+
+                if (!token) {
+                    plain += code[index];
+                    index++;
+                    continue;
+                }
+
+                if (plain) tokens.push({ type: null, value: plain });
+                plain = '';
+                tokens.push(token);
+                index += token.value.length;
+            }
+
+            if (plain) tokens.push({ type: null, value: plain });
+            return tokens;
+        }
+
+        escapeHTML(text) {
+            return text.replace(/[&<>]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+        }
+
         addSyntaxHighlighting() {
-            // 简单的语法高亮
             const codeBlocks = document.querySelectorAll('pre code');
             codeBlocks.forEach(block => {
-                let code = block.innerHTML;
-                
-                // JavaScript 关键字高亮
-                const keywords = ['function', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'return', 'class', 'import', 'export', 'async', 'await'];
-                keywords.forEach(keyword => {
-                    const regex = new RegExp(`\\b${keyword}\\b`, 'g');
-                    code = code.replace(regex, `<span style="color: #e74c3c; font-weight: bold;">${keyword}</span>`);
-                });
-
-                // 字符串高亮
-                code = code.replace(/(['"`])(.*?)\1/g, '<span style="color: #2ecc71;">$&</span>');
-                
-                // 注释高亮
-                code = code.replace(/(\/\/.*$)/gm, '<span style="color: #95a5a6; font-style: italic;">$1</span>');
-                code = code.replace(/(\/\*[\s\S]*?\*\/)/g, '<span style="color: #95a5a6; font-style: italic;">$1</span>');
-
-                block.innerHTML = code;
+                if (this.isHighlighted(block)) return;
+                const rules = SYNTAX_RULES[this.getLanguage(block)];
+                if (!rules) return;
+
+                block.innerHTML = this.tokenize(block.textContent, rules).map(({ type, value }) => {
+                    const text = this.escapeHTML(value);
+                    return type ? `<span class="code-${type}">${text}</span>` : text;
+                }).join('');
+                block.classList.add('code-highlighted');
             });
         }
     }
 
     // ===== 搜索功能 =====
+    // 侧边栏搜索框，复用主题 LocalSearch 的数据和检索引擎，检索全站文章
     class Search {
         constructor() {
+            this.container = null;
             this.searchInput = null;
             this.searchResults = null;
+            this.engine = null;
             this.init();
         }
 
@@ -317,6 +448,9 @@
         }
 
         createSearchUI() {
+            this.container = document.createElement('div');
+            this.container.className = 'custom-search';
+
             // 创建搜索输入框
             this.searchInput = document.createElement('input');
             this.searchInput.type = 'text';
@@ -345,10 +479,17 @@
                 overflow-y: auto;
             `;
 
-            // 插入到页面中
-            const container = document.querySelector('.sidebar') || document.body;
-            container.insertBefore(this.searchInput, container.firstChild);
-            container.insertBefore(this.searchResults, this.searchInput.nextSibling);
+            this.container.appendChild(this.searchInput);
+            this.container.appendChild(this.searchResults);
+            this.mount();
+        }
+
+        // 插入到页面中，pjax 替换侧边栏后需要重新插入
+        mount() {
+            if (document.body.contains(this.container)) return;
+            const container = document.querySelector('.sidebar, #aside-content') || document.body;
+            this.container.classList.toggle('card-widget', container.id === 'aside-content');
+            container.insertBefore(this.container, container.firstChild);
         }
 
         bindEvents() {
@@ -365,27 +506,98 @@
                 this.searchInput.style.borderColor = '#ecf0f1';
                 this.searchInput.style.boxShadow = 'none';
             });
+
+            // 点击结果后收起列表，跳转交给 pjax
+            this.searchResults.addEventListener('click', (e) => {
+                if (e.target.closest('a')) this.hideResults();
+            });
+
+            window.addEventListener('pjax:complete', () => this.mount());
+        }
+
+        // 配置了搜索数据库时按需加载主题的 local-search.js，优先复用搜索弹窗的引擎
+        loadEngine() {
+            if (this.engine) return this.engine;
+
+            const config = window.GLOBAL_CONFIG || {};
+            if (!config.localSearch || !config.localSearch.path) return Promise.resolve(null);
+
+            // 搜索弹窗在 load 事件里创建引擎，等它的监听执行完再判断
+            const pageLoaded = document.readyState === 'complete'
+                ? Promise.resolve()
+                : new Promise((resolve) => window.addEventListener('load', () => setTimeout(resolve), { once: true }));
+            const ready = typeof LocalSearch === 'function'
+                ? pageLoaded
+                : btf.getScript(`${config.root || '/'}js/search/local-search.js`);
+
+            this.engine = ready.then(() => {
+                // 共用弹窗的 worker、请求和 IndexedDB 缓存，没有时才自己创建
+                if (window.localSearch instanceof LocalSearch) {
+                    return window.localSearch.fetchData().then(() => window.localSearch);
+                }
+
+                const { path, top_n_per_article = 1, unescape = false, fuzzy = false } = config.localSearch;
+                const localSearch = new LocalSearch({
+                    path,
+                    top_n_per_article,
+                    unescape,
+                    fuzzy,
+                    workerPath: localSearchWorkerPath
+                });
+                return localSearch.fetchData().then(() => localSearch);
+            }).catch((err) => {
+                this.engine = null;
+                throw err;
+            });
+            return this.engine;
         }
 
-        performSearch() {
-            const query = this.searchInput.value.trim().toLowerCase();
+        async performSearch() {
+            const query = this.searchInput.value.trim();
             if (query.length < 2) {
                 this.hideResults();
                 return;
             }
 
-            const results = this.searchPosts(query);
-            this.displayResults(results);
+            let engine = null;
+            try {
+                engine = await this.loadEngine();
+            } catch (err) {
+                console.error('Failed to load the search database, fall back to the posts on this page: ', err);
+            }
+            if (query !== this.searchInput.value.trim()) return;
+
+            if (!engine) {
+                this.displayResults(this.searchPosts(query.toLowerCase()), [query]);
+                return;
+            }
+
+            try {
+                const parsedQuery = engine.parseQuery(query);
+                // 只显示前 8 条，引擎也只为这几条截取摘要
+                const result = await engine.query(parsedQuery, { limit: 8 });
+                // 被更新的输入取代
+                if (!result || query !== this.searchInput.value.trim()) return;
+                const keywords = [...parsedQuery.keywords, ...parsedQuery.phrases, ...parsedQuery.title].map((word) => engine.decodeXml(word));
+                this.displayResults(result.hits.map((hit) => ({
+                    title: hit.title,
+                    url: hit.url,
+                    excerpt: engine.decodeXml(hit.excerpt)
+                })), keywords);
+            } catch (err) {
+                console.error('Search failed: ', err);
+            }
         }
 
+        // 没有搜索数据库时只搜索当前页面中的文章
         searchPosts(query) {
             const posts = document.querySelectorAll('.post-card, article');
             const results = [];
 
             posts.forEach(post => {
-                const title = post.querySelector('h1, h2, h3, .post-title')?.textContent || '';
+                const title = post.querySelector('h1, h2, h3, .post-title')?.textContent.trim() || '';
                 const content = post.textContent || '';
-                
+
                 if (title.toLowerCase().includes(query) || content.toLowerCase().includes(query)) {
                     results.push({
                         title: title,
@@ -400,30 +612,45 @@
 
         getExcerpt(content, query) {
             const index = content.toLowerCase().indexOf(query);
-            if (index === -1) return content.substring(0, 100) + '...';
-            
+            if (index === -1) return content.substring(0, 100);
+
             const start = Math.max(0, index - 50);
             const end = Math.min(content.length, index + 100);
-            return '...' + content.substring(start, end) + '...';
+            return content.substring(start, end);
+        }
+
+        escapeHTML(text) {
+            return text.replace(/[&<>"']/g, (char) => ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;'
+            })[char]);
         }
 
-        displayResults(results) {
+        // 先按关键词切分再逐段转义，避免高亮标签与转义冲突
+        highlight(text, keywords) {
+            const words = keywords.filter(Boolean).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            if (!words.length) return this.escapeHTML(text);
+            const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+            return text.split(pattern).map((part, index) => {
+                return index % 2 ? `<mark>${this.escapeHTML(part)}</mark>` : this.escapeHTML(part);
+            }).join('');
+        }
+
+        displayResults(results, keywords) {
             if (results.length === 0) {
                 this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #7f8c8d;">未找到相关结果</div>';
             } else {
-                this.searchResults.innerHTML = results.map(result => `
-                    <div class="search-result-item" style="padding: 15px; border-bottom: 1px solid #ecf0f1; cursor: pointer; transition: background 0.3s ease;">
-                        <div style="font-weight: bold; color: #2c3e50; margin-bottom: 5px;">${result.title}</div>
-                        <div style="font-size: 12px; color: #7f8c8d;">${result.excerpt}</div>
-                    </div>
+                this.searchResults.innerHTML = results.map((result) => `
+                    <a class="search-result-item" href="${this.escapeHTML(result.url)}" style="display: block; padding: 15px; border-bottom: 1px solid #ecf0f1; cursor: pointer; transition: background 0.3s ease;">
+                        <div style="font-weight: bold; color: #2c3e50; margin-bottom: 5px;">${this.highlight(result.title, keywords)}</div>
+                        <div style="font-size: 12px; color: #7f8c8d;">${this.highlight(result.excerpt, keywords)}...</div>
+                    </a>
                 `).join('');
 
-                // 绑定点击事件
-                this.searchResults.querySelectorAll('.search-result-item').forEach((item, index) => {
-                    item.addEventListener('click', () => {
-                        window.location.href = results[index].url;
-                    });
-                });
+                window.pjax && window.pjax.refresh(this.searchResults);
             }
 
             this.searchResults.style.display = 'block';
@@ -50,6 +50,15 @@ document.addEventListener('DOMContentLoaded', () => {
     $scrollDownEle && btf.addEventListenerPjax($scrollDownEle, 'click', handleScrollToDest)
   }
 
+  // diff 代碼塊：highlight.js 的 figure.diff 或 prismjs 的 language-diff(-xxx)
+  const isDiffBlock = item => item.matches('figure.highlight.diff, pre[class*="language-diff"]') || !!item.querySelector('pre[class*="language-diff"]')
+
+  // 複製 diff 時只保留修改後的代碼
+  const stripDiffMarkers = text => text.split('\n')
+    .filter(line => !/^-(?!--)/.test(line))
+    .map(line => line.replace(/^\+(?!\+\+)/, ''))
+    .join('\n')
+
   /**
    * 代碼
    * 只適用於Hexo默認的代碼渲染
@@ -68,9 +77,20 @@ document.addEventListener('DOMContentLoaded', () => {
     const isPrismjs = plugin === 'prismjs'
     const highlightShrinkClass = isHighlightShrink === true ? 'closed' : ''
     const highlightShrinkEle = isHighlightShrink !== undefined ? '<i class="fas fa-angle-down expand"></i>' : ''
-    const highlightCopyEle = highlightCopy ? '<div class="copy-notice"></div><i class="fas fa-paste copy-button"></i>' : ''
+    const highlightCopyEle = highlightCopy ? '<div class="copy-notice"></div><i class="fas fa-paste copy-button"></i><i class="fas fa-ellipsis-v copy-menu-button" title="更多复制方式"></i>' : ''
     const highlightMacStyleEle = '<div class="macStyle"><div class="mac-close"></div><div class="mac-minimize"></div><div class="mac-maximize"></div></div>'
     const highlightFullpageEle = highlightFullpage ? '<i class="fa-solid fa-up-right-and-down-left-from-center fullpage-button"></i>' : ''
+    const highlightRunEle = '<i class="fas fa-play run-button" title="运行"></i>'
+
+    // js / ts 代碼塊可以運行
+    const getRunLang = item => {
+      const lang = isPrismjs
+        ? item.getAttribute('data-language') || (item.className.match(/language-(\S+)/) || [])[1]
+        : item.classList[1]
+      const runLang = ({ js: 'js', javascript: 'js', mjs: 'js', ts: 'ts', typescript: 'ts' })[lang] || ''
+      // ts 需要先加載 typescript 編譯
+      return runLang === 'ts' && !(GLOBAL_CONFIG.runCode && GLOBAL_CONFIG.runCode.typescript) ? '' : runLang
+    }
 
     const alertInfo = (ele, text) => {
       if (GLOBAL_CONFIG.Snackbar !== undefined) {
@@ -92,17 +112,175 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    const getCodeElement = $figure => $figure.querySelector(isPrismjs ? 'pre code' : 'table .code pre')
+
+    const getCodeText = ($figure, codeElement) => isDiffBlock($figure) ? stripDiffMarkers(codeElement.innerText) : codeElement.innerText
+
+    const getCodeLang = $figure => {
+      const item = isPrismjs ? $figure.querySelector('pre') : $figure
+      const lang = isPrismjs
+        ? item.getAttribute('data-language') || (item.className.match(/language-(\S+)/) || [])[1]
+        : item.classList[1]
+      return lang === 'plain' ? '' : lang || ''
+    }
+
+    // $ npm i、user@host:~$ ls、PS C:\> dir 這類提示符，有提示符時只保留命令行
+    const promptReg = /^\s*(?:[\w.-]+@[\w.-]+(?::[^$#\n]*)?[$#]|PS [^>\n]*>|[$%])\s+/
+    const stripPrompts = text => {
+      const lines = text.split('\n')
+      if (!lines.some(line => promptReg.test(line))) return text
+      let continued = false
+      return lines.filter(line => {
+        const keep = continued || promptReg.test(line)
+        continued = keep && /\\\s*$/.test(line)
+        return keep
+      }).map(line => line.replace(promptReg, '')).join('\n')
+    }
+
+    const toMarkdown = (text, lang) => {
+      const fence = '`'.repeat(Math.max(3, ...(text.match(/`{3,}/g) || []).map(item => item.length + 1)))
+      return `${fence}${lang}\n${text.replace(/\n$/, '')}\n${fence}`
+    }
+
+    // 按代碼的顏色逐段畫到 canvas 上，導出 PNG
+    const exportImage = async ($figure, codeElement, lang) => {
+      const style = getComputedStyle(codeElement)
+      const fontSize = parseFloat(style.fontSize) || 14
+      const lineHeight = fontSize * 1.6
+      const font = `${fontSize}px ${style.fontFamily}`
+      const padding = 24
+      const header = 36
+
+      const lines = [[]]
+      const walker = document.createTreeWalker(codeElement, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT)
+      while (walker.nextNode()) {
+        const node = walker.currentNode
+        if (node.nodeName === 'BR') lines.push([])
+        if (node.nodeType !== Node.TEXT_NODE) continue
+        const color = getComputedStyle(node.parentElement).color
+        node.nodeValue.replace(/\t/g, '    ').split('\n').forEach((text, i) => {
+          i && lines.push([])
+          text && lines[lines.length - 1].push({ text, color })
+        })
+      }
+      while (lines.length > 1 && !lines[lines.length - 1].length) lines.pop()
+
+      const canvas = document.createElement('canvas')
+      const ctx = canvas.getContext('2d')
+      ctx.font = font
+      const contentWidth = Math.max(200, ...lines.map(line => line.reduce((width, { text }) => width + ctx.measureText(text).width, 0)))
+      const ratio = window.devicePixelRatio || 1
+      const width = contentWidth + padding * 2
+      const height = header + lines.length * lineHeight + padding
+      canvas.width = width * ratio
+      canvas.height = height * ratio
+      ctx.scale(ratio, ratio)
+
+      ctx.fillStyle = getComputedStyle($figure).backgroundColor || '#f6f8fa'
+      ctx.fillRect(0, 0, width, height)
+      ;['#fc625d', '#fdbc40', '#35cd4b'].forEach((color, i) => {
+        ctx.beginPath()
+        ctx.arc(padding + i * 20, header / 2, 6, 0, Math.PI * 2)
+        ctx.fillStyle = color
+        ctx.fill()
+      })
+      ctx.font = font
+      ctx.textBaseline = 'middle'
+      ctx.fillStyle = style.color
+      lang && ctx.fillText(lang.toUpperCase(), width - padding - ctx.measureText(lang.toUpperCase()).width, header / 2)
+
+      lines.forEach((line, i) => {
+        let x = padding
+        const y = header + i * lineHeight + lineHeight / 2
+        line.forEach(({ text, color }) => {
+          ctx.fillStyle = color
+          ctx.fillText(text, x, y)
+          x += ctx.measureText(text).width
+        })
+      })
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+      if (!blob) throw new Error('Failed to render the code image')
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(blob)
+      link.download = `${(document.title.split(' | ')[0] || 'code').trim()}-${lang || 'code'}.png`
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
     // click events
     const highlightCopyFn = (ele, clickEle) => {
       const $buttonParent = ele.parentNode
       $buttonParent.classList.add('copy-true')
-      const preCodeSelector = isPrismjs ? 'pre code' : 'table .code pre'
-      const codeElement = $buttonParent.querySelector(preCodeSelector)
+      const codeElement = getCodeElement($buttonParent)
       if (!codeElement) return
-      copy(codeElement.innerText, clickEle.previousElementSibling)
+      copy(getCodeText($buttonParent, codeElement), clickEle.previousElementSibling)
       $buttonParent.classList.remove('copy-true')
     }
 
+    let $copyMenu = null
+    let $copyMenuButton = null
+    const closeCopyMenu = () => {
+      if (!$copyMenu) return
+      $copyMenu.remove()
+      $copyMenu = $copyMenuButton = null
+      document.removeEventListener('click', handleOutsideClick, true)
+    }
+
+    const handleOutsideClick = e => {
+      !e.target.closest('.copy-menu, .copy-menu-button') && closeCopyMenu()
+    }
+
+    const copyMenuFn = (ele, clickEle) => {
+      const isOpen = $copyMenuButton === clickEle
+      closeCopyMenu()
+      if (isOpen) return
+
+      const $figure = ele.parentNode
+      const codeElement = getCodeElement($figure)
+      if (!codeElement) return
+      const $notice = ele.querySelector('.copy-notice')
+      const text = getCodeText($figure, codeElement)
+      const lang = getCodeLang($figure)
+      const items = [
+        ['plain', 'fas fa-paste', '复制代码'],
+        text.split('\n').some(line => promptReg.test(line)) && ['prompt', 'fas fa-terminal', '复制命令（去除提示符）'],
+        ['markdown', 'fab fa-markdown', '复制为 Markdown'],
+        ['image', 'fas fa-image', '导出为图片']
+      ].filter(Boolean)
+
+      $copyMenu = document.createElement('div')
+      $copyMenu.className = 'copy-menu'
+      $copyMenuButton = clickEle
+      $copyMenu.innerHTML = items.map(([type, icon, label]) => `<button type="button" data-copy="${type}"><i class="${icon}"></i>${label}</button>`).join('')
+      const rect = clickEle.getBoundingClientRect()
+      $copyMenu.style.top = `${rect.bottom + window.scrollY + 4}px`
+      $copyMenu.style.right = `${document.documentElement.clientWidth - rect.right - window.scrollX}px`
+
+      $copyMenu.addEventListener('click', async e => {
+        const $target = e.target.closest('[data-copy]')
+        if (!$target) return
+        const type = $target.getAttribute('data-copy')
+        closeCopyMenu()
+        if (type === 'plain') copy(text, $notice)
+        else if (type === 'prompt') copy(stripPrompts(text), $notice)
+        else if (type === 'markdown') copy(toMarkdown(text, lang), $notice)
+        else if (type === 'image') {
+          try {
+            await exportImage($figure, codeElement, lang)
+            alertInfo($notice, '导出成功')
+          } catch (err) {
+            console.error('Failed to export: ', err)
+            alertInfo($notice, GLOBAL_CONFIG.copy.error)
+          }
+        }
+      })
+
+      document.body.appendChild($copyMenu)
+      document.addEventListener('click', handleOutsideClick, true)
+      btf.addGlobalFn('pjaxSendOnce', closeCopyMenu, 'closeCopyMenu')
+    }
+
     const highlightShrinkFn = ele => ele.classList.toggle('closed')
 
     const codeFullpage = (item, clickEle) => {
@@ -119,7 +297,12 @@ document.addEventListener('DOMContentLoaded', () => {
       const currentElement = e.currentTarget
       if ($target.contains('expand')) highlightShrinkFn(currentElement)
       else if ($target.contains('copy-button')) highlightCopyFn(currentElement, e.target)
+      else if ($target.contains('copy-menu-button')) copyMenuFn(currentElement, e.target)
       else if ($target.contains('fullpage-button')) codeFullpage(currentElement, e.target)
+      else if ($target.contains('run-button')) {
+        const codeElement = currentElement.parentNode.querySelector(isPrismjs ? 'pre code' : 'table .code pre')
+        codeElement && codeRunner.open(currentElement.parentNode, codeElement.innerText, currentElement.getAttribute('data-run'))
+      }
     }
 
     const expandCode = e => e.currentTarget.classList.toggle('expand-done')
@@ -162,7 +345,9 @@ document.addEventListener('DOMContentLoaded', () => {
       if (isShowTool) {
         const hlTools = document.createElement('div')
         hlTools.className = `highlight-tools ${highlightShrinkClass}`
-        hlTools.innerHTML = highlightMacStyleEle + highlightShrinkEle + lang + highlightCopyEle + highlightFullpageEle
+        const runLang = GLOBAL_CONFIG.highlight.highlightRun !== false && getRunLang(item)
+        runLang && hlTools.setAttribute('data-run', runLang)
+        hlTools.innerHTML = highlightMacStyleEle + highlightShrinkEle + lang + highlightCopyEle + (runLang ? highlightRunEle : '') + highlightFullpageEle
         btf.addEventListenerPjax(hlTools, 'click', highlightToolsFn)
         fragment.appendChild(hlTools)
       }
@@ -197,6 +382,423 @@ document.addEventListener('DOMContentLoaded', () => {
     })
   }
 
+  /**
+   * 運行代碼
+   * 在 sandbox iframe（opaque origin）建立的 Worker 裡執行 js / ts 代碼塊，console 輸出和結果顯示在代碼塊下方
+   * ts 需要在 GLOBAL_CONFIG.runCode.typescript 配置 typescript.js 的地址
+   */
+  const codeRunner = (() => {
+    // 在 Worker 裡執行，只能用自身的變量
+    const sandbox = () => {
+      // 代碼拿不到存儲和網絡接口，iframe 之外多一層保護
+      const blocked = ['indexedDB', 'caches', 'fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker']
+      for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+        blocked.forEach(name => {
+          if (!Object.prototype.hasOwnProperty.call(scope, name)) return
+          try {
+            Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false })
+          } catch (e) {}
+        })
+      }
+
+      const inspect = (value, depth = 0) => {
+        if (typeof value === 'string') return depth ? JSON.stringify(value) : value
+        if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`
+        if (typeof value === 'bigint') return `${value}n`
+        if (value === null || typeof value !== 'object') return String(value)
+        if (value instanceof Error) return `${value.name}: ${value.message}`
+        if (value instanceof Promise) return 'Promise {<pending>}'
+        if (value instanceof Date) return value.toISOString()
+        if (depth > 2) return Array.isArray(value) ? '[…]' : '{…}'
+        if (Array.isArray(value)) return `[${value.map(item => inspect(item, depth + 1)).join(', ')}]`
+        if (value instanceof Map) return `Map(${value.size}) {${[...value].map(([key, item]) => `${inspect(key, depth + 1)} => ${inspect(item, depth + 1)}`).join(', ')}}`
+        if (value instanceof Set) return `Set(${value.size}) {${[...value].map(item => inspect(item, depth + 1)).join(', ')}}`
+        const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : ''
+        return `${name}{${Object.keys(value).map(key => `${key}: ${inspect(value[key], depth + 1)}`).join(', ')}}`
+      }
+
+      const send = (type, args) => self.postMessage({ type, args: args.map(arg => inspect(arg)) })
+      ;['log', 'info', 'warn', 'error', 'debug'].forEach(type => {
+        console[type] = (...args) => send(type, args)
+      })
+      self.addEventListener('error', e => {
+        e.preventDefault()
+        send('error', [e.error || e.message])
+      })
+      self.addEventListener('unhandledrejection', e => {
+        e.preventDefault()
+        send('error', ['Uncaught (in promise)', e.reason])
+      })
+
+      // 記錄未完成的定時器，代碼執行完且沒有定時器時通知結束
+      const { setTimeout: nativeSetTimeout, clearTimeout: nativeClearTimeout, setInterval: nativeSetInterval, clearInterval: nativeClearInterval } = self
+      const timers = new Set()
+      let finished = false
+      const checkDone = () => nativeSetTimeout(() => {
+        finished && !timers.size && self.postMessage({ type: 'done' })
+      })
+      const wrap = (fn, args) => typeof fn === 'function' ? () => fn(...args) : () => (0, eval)(fn)
+
+      self.setTimeout = (fn, delay, ...args) => {
+        const callback = wrap(fn, args)
+        const id = nativeSetTimeout(() => {
+          timers.delete(id)
+          checkDone()
+          callback()
+        }, delay)
+        timers.add(id)
+        return id
+      }
+      self.setInterval = (fn, delay, ...args) => {
+        const id = nativeSetInterval(wrap(fn, args), delay)
+        timers.add(id)
+        return id
+      }
+      self.clearTimeout = id => {
+        timers.delete(id)
+        nativeClearTimeout(id)
+        checkDone()
+      }
+      self.clearInterval = id => {
+        timers.delete(id)
+        nativeClearInterval(id)
+        checkDone()
+      }
+
+      self.addEventListener('message', async e => {
+        try {
+          let result
+          try {
+            result = (0, eval)(e.data.code)
+          } catch (err) {
+            // top-level await
+            if (!(err instanceof SyntaxError && /await/.test(err.message))) throw err
+            result = new (Object.getPrototypeOf(async () => {}).constructor)(e.data.code)()
+          }
+          if (result instanceof Promise) send('result', ['Promise', await result])
+          else if (result !== undefined) send('result', [result])
+        } catch (err) {
+          send('error', [err])
+        }
+        finished = true
+        checkDone()
+      }, { once: true })
+    }
+
+    // 在 iframe 裡執行，建立 Worker 並在它和頁面之間轉發消息，移除 iframe 時 Worker 也隨之結束
+    const host = source => {
+      const fail = message => {
+        parent.postMessage({ type: 'error', args: [message] }, '*')
+        parent.postMessage({ type: 'done' }, '*')
+      }
+      let worker
+      try {
+        worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })))
+      } catch (err) {
+        return fail(`${err.name}: ${err.message}`)
+      }
+      worker.addEventListener('error', e => fail(e.message || 'Failed to start the worker'))
+      worker.addEventListener('message', e => parent.postMessage(e.data, '*'))
+      self.addEventListener('message', e => { e.source === parent && worker.postMessage(e.data) })
+    }
+
+    const { timeout = 5000, typescript = '' } = GLOBAL_CONFIG.runCode || {}
+    const running = new WeakMap()
+    let frameDoc = null
+
+    const print = ($output, type, args) => {
+      const line = document.createElement('div')
+      line.className = `code-runner-line ${type}`
+      line.textContent = args.join(' ')
+      $output.appendChild(line)
+    }
+
+    const transpile = async (code, lang) => {
+      if (lang !== 'ts') return code
+      typeof ts === 'undefined' && await btf.getScript(typescript)
+      return ts.transpile(code, { target: ts.ScriptTarget.ES2020 })
+    }
+
+    const stop = $runner => {
+      running.has($runner) && running.get($runner)()
+      running.delete($runner)
+    }
+
+    const run = async ($runner, lang) => {
+      const $output = $runner.querySelector('.code-runner-output')
+      stop($runner)
+      $output.textContent = ''
+
+      let code
+      try {
+        code = await transpile($runner.querySelector('textarea').value, lang)
+      } catch (err) {
+        print($output, 'error', [`${err.name}: ${err.message}`])
+        return
+      }
+
+      // 不帶 allow-same-origin，iframe 和其中的 Worker 都碰不到本站的存儲、Cookie 和同源請求
+      frameDoc = frameDoc || `<script>(${host})(${JSON.stringify(`(${sandbox})()`).replace(/</g, '\\u003c')})</script>`
+      const $frame = document.createElement('iframe')
+      $frame.hidden = true
+      $frame.setAttribute('sandbox', 'allow-scripts')
+      $frame.srcdoc = frameDoc
+
+      const finish = () => {
+        stop($runner)
+        $output.childElementCount || print($output, 'empty', ['无输出'])
+      }
+
+      // 死循環在移除 iframe 時隨 Worker 一起結束，setTimeout 等異步輸出在超時之前都會顯示
+      const timer = setTimeout(() => {
+        print($output, 'error', [`执行超时（${timeout / 1000}s）`])
+        finish()
+      }, timeout)
+
+      const onMessage = ({ source, data }) => {
+        if (source !== $frame.contentWindow || !data) return
+        if (data.type === 'done') finish()
+        else print($output, data.type, data.args)
+      }
+
+      running.set($runner, () => {
+        clearTimeout(timer)
+        window.removeEventListener('message', onMessage)
+        $frame.remove()
+      })
+      window.addEventListener('message', onMessage)
+      $frame.addEventListener('load', () => $frame.contentWindow.postMessage({ code }, '*'), { once: true })
+      $runner.appendChild($frame)
+    }
+
+    const createRunner = (item, code, lang) => {
+      const $runner = document.createElement('div')
+      $runner.className = 'code-runner'
+      $runner.innerHTML = `
+        <textarea class="code-runner-editor" spellcheck="false" autocomplete="off"></textarea>
+        <div class="code-runner-actions">
+          <button class="code-runner-run" type="button"><i class="fas fa-play"></i> 运行</button>
+          <button class="code-runner-reset" type="button"><i class="fas fa-undo"></i> 重置</button>
+          <button class="code-runner-close" type="button"><i class="fas fa-times"></i> 关闭</button>
+        </div>
+        <div class="code-runner-output"></div>`
+      const $editor = $runner.querySelector('textarea')
+      $editor.value = code
+      $editor.rows = Math.min(code.split('\n').length, 20)
+
+      $editor.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault()
+          run($runner, lang)
+        } else if (e.key === 'Tab') {
+          e.preventDefault()
+          $editor.setRangeText('  ', $editor.selectionStart, $editor.selectionEnd, 'end')
+        }
+      })
+
+      $runner.querySelector('.code-runner-actions').addEventListener('click', e => {
+        const $target = e.target.closest('button')
+        if (!$target) return
+        if ($target.classList.contains('code-runner-run')) run($runner, lang)
+        else if ($target.classList.contains('code-runner-reset')) $editor.value = code
+        else if ($target.classList.contains('code-runner-close')) {
+          stop($runner)
+          $runner.remove()
+        }
+      })
+
+      item.parentNode.insertBefore($runner, item.nextSibling)
+      return $runner
+    }
+
+    const open = (item, code, lang) => {
+      const $next = item.nextElementSibling
+      const $runner = $next && $next.classList.contains('code-runner') ? $next : createRunner(item, code, lang)
+      run($runner, lang)
+    }
+
+    return { open }
+  })()
+
+  /**
+   * 代碼行
+   * 行號鏈接 #code-2-L5-L9、{3,5-7} 強調行、diff
+   */
+  const addCodeLineTool = () => {
+    const highLight = GLOBAL_CONFIG.highlight
+    if (!highLight) return
+
+    const isPrismjs = highLight.plugin === 'prismjs'
+    const $blocks = [...document.querySelectorAll(isPrismjs ? '#article-container pre[class*="language-"]' : '#article-container figure.highlight')]
+    if (!$blocks.length) return
+
+    const parseLineSpec = (spec, max) => {
+      const lines = new Set()
+      spec.split(',').forEach(part => {
+        const [start, end = start] = part.split('-').map(n => parseInt(n, 10))
+        for (let i = Math.max(start, 1); i <= Math.min(end, max); i++) lines.add(i)
+      })
+      return lines
+    }
+
+    // The fence info `js {3,5-7}` ends up in the caption, take it out of there
+    const takeLineSpec = item => {
+      if (item.hasAttribute('data-line')) return item.getAttribute('data-line')
+      const $caption = item.querySelector('figcaption, .caption') || (item.parentNode.tagName === 'FIGURE' && item.parentNode.querySelector('figcaption'))
+      if (!$caption) return ''
+      const $text = [...$caption.querySelectorAll('span')].find(span => /\{[\d,\s-]+\}/.test(span.textContent)) || $caption
+      const match = $text.textContent.match(/\{([\d,\s-]+)\}/)
+      if (!match) return ''
+      $text.textContent = $text.textContent.replace(match[0], '').trim()
+      !$caption.textContent.trim() && $caption.remove()
+      return match[1].replace(/\s/g, '')
+    }
+
+    // highlight.js wraps every line in span.line, prismjs lines are covered with overlays
+    const createLines = item => {
+      if (!isPrismjs) {
+        const $code = item.querySelector('td.code pre') || item.querySelector('pre')
+        const $lines = [...$code.querySelectorAll(':scope > .line')]
+        return {
+          count: $lines.length,
+          text: n => $lines[n - 1].textContent,
+          get: n => $lines[n - 1],
+          gutter: [...item.querySelectorAll('td.gutter .line')]
+        }
+      }
+
+      const $code = item.querySelector('code') || item
+      const texts = $code.textContent.replace(/\n$/, '').split('\n')
+      const starts = texts.reduce((list, text) => list.concat(list[list.length - 1] + text.length + 1), [0])
+      const overlays = new Map()
+      let nodes = null
+      item.style.position = 'relative'
+
+      // The rendered box of a line, relative to the block; null for empty lines and hidden blocks
+      const lineBox = (n, origin) => {
+        const range = texts[n - 1] && btf.textRange(nodes, starts[n - 1], starts[n - 1] + texts[n - 1].length)
+        const rects = range ? [...range.getClientRects()].filter(rect => rect.height) : []
+        if (!rects.length) return null
+        return {
+          top: Math.min(...rects.map(rect => rect.top)) - origin,
+          bottom: Math.max(...rects.map(rect => rect.bottom)) - origin
+        }
+      }
+
+      // Overlays follow the boxes of their lines, so wrapped lines, blocks collapsed at load,
+      // resizing and late web fonts keep them in place
+      const place = (overlay, n) => {
+        const itemRect = item.getBoundingClientRect()
+        if (!itemRect.height) return
+        const origin = itemRect.top + item.clientTop - item.scrollTop
+        let box = lineBox(n, origin)
+        if (!box) {
+          // An empty line fills the gap between its neighbours
+          const codeRect = $code.getBoundingClientRect()
+          let prev = null
+          let next = null
+          for (let i = n - 1; i > 0 && !prev; i--) prev = lineBox(i, origin)
+          for (let i = n + 1; i <= texts.length && !next; i++) next = lineBox(i, origin)
+          box = {
+            top: prev ? prev.bottom : codeRect.top - origin,
+            bottom: next ? next.top : codeRect.bottom - origin
+          }
+        }
+        overlay.style.top = `${box.top}px`
+        overlay.style.height = `${Math.max(box.bottom - box.top, 0)}px`
+      }
+
+      return {
+        count: texts.length,
+        text: n => texts[n - 1],
+        get: n => {
+          if (n < 1 || n > texts.length) return null
+          if (!overlays.has(n)) {
+            if (!nodes) {
+              nodes = btf.getTextNodes($code).nodes
+              typeof ResizeObserver === 'function' && new ResizeObserver(() => overlays.forEach(place)).observe($code)
+            }
+            const overlay = document.createElement('div')
+            overlay.className = 'code-line-overlay'
+            item.appendChild(overlay)
+            overlays.set(n, overlay)
+            place(overlay, n)
+          }
+          return overlays.get(n)
+        },
+        gutter: [...item.querySelectorAll('.line-numbers-rows > span')]
+      }
+    }
+
+    const blocks = $blocks.map((item, index) => {
+      const lines = createLines(item)
+      const spec = takeLineSpec(item)
+      spec && parseLineSpec(spec, lines.count).forEach(n => lines.get(n).classList.add('marked'))
+
+      if (isDiffBlock(item)) {
+        for (let n = 1; n <= lines.count; n++) {
+          const text = lines.text(n)
+          if (/^\+(?!\+\+)/.test(text)) lines.get(n).classList.add('code-line-add')
+          else if (/^-(?!--)/.test(text)) lines.get(n).classList.add('code-line-remove')
+        }
+      }
+
+      return { item, index: index + 1, lines, targets: [] }
+    })
+
+    const clearTargets = () => {
+      blocks.forEach(block => {
+        block.targets.forEach(el => el.classList.remove('code-line-target'))
+        block.targets = []
+      })
+    }
+
+    const selectLines = (block, start, end) => {
+      clearTargets()
+      for (let n = Math.min(start, end); n <= Math.max(start, end); n++) {
+        const line = block.lines.get(n)
+        if (!line) break
+        line.classList.add('code-line-target')
+        block.targets.push(line)
+      }
+    }
+
+    const applyHash = () => {
+      // A malformed escape such as #L100% must not stop the rest of the page from initialising
+      let hash = location.hash
+      try {
+        hash = decodeURIComponent(hash)
+      } catch (e) {}
+      const match = hash.match(/^#code-(\d+)-L(\d+)(?:-L(\d+))?$/)
+      const block = match && blocks[match[1] - 1]
+      if (!block) return
+      const start = parseInt(match[2], 10)
+      selectLines(block, start, match[3] ? parseInt(match[3], 10) : start)
+      const first = block.targets[0]
+      if (!first) return
+      btf.revealElement(first)
+      btf.scrollToDest(btf.getEleTop(first) - window.innerHeight / 3, 300)
+    }
+
+    let anchorLine = null
+    blocks.forEach(block => {
+      block.lines.gutter.forEach((row, i) => {
+        row.classList.add('code-line-link')
+        btf.addEventListenerPjax(row, 'click', e => {
+          const n = i + 1
+          const start = e.shiftKey && anchorLine && anchorLine.block === block ? anchorLine.n : n
+          if (!e.shiftKey) anchorLine = { block, n }
+          selectLines(block, start, n)
+          const hash = start === n ? `#code-${block.index}-L${n}` : `#code-${block.index}-L${Math.min(start, n)}-L${Math.max(start, n)}`
+          window.history.replaceState(window.history.state, '', hash)
+        })
+      })
+    })
+
+    applyHash()
+    btf.addEventListenerPjax(window, 'hashchange', applyHash)
+  }
+
   /**
    * PhotoFigcaption
    */
@@ -421,15 +1023,43 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     let flag = ''
-    const scrollTask = btf.throttle(() => {
-      const currentTop = window.scrollY || document.documentElement.scrollTop
-      const isDown = scrollDirection(currentTop)
-      if (currentTop > 56) {
-        if (flag === '') {
-          $header.classList.add('nav-fixed')
-          $rightside.classList.add('rightside-show')
+    let isPast = false
+
+    // 頁面頂部 57px 高的哨兵：完全可見表示在頂部，離開視窗表示已滾過 56px
+    const $sentinel = document.createElement('div')
+    $sentinel.style.cssText = 'position:absolute;top:0;left:0;width:1px;height:57px;visibility:hidden;pointer-events:none'
+    document.body.appendChild($sentinel)
+
+    const headerObserver = new IntersectionObserver(([entry]) => {
+      isPast = !entry.isIntersecting
+      if (isPast) {
+        $header.classList.add('nav-fixed')
+        $rightside.classList.add('rightside-show')
+      } else {
+        flag = ''
+        if (entry.intersectionRatio === 1) {
+          $header.classList.remove('nav-fixed', 'nav-visible')
         }
+        $rightside.classList.remove('rightside-show')
+        checkDocumentHeight()
+      }
+    }, { threshold: [0, 1] })
+    headerObserver.observe($sentinel)
+
+    // 文章圖片加載等導致高度變化時重新檢查
+    const resizeObserver = new ResizeObserver(checkDocumentHeight)
+    resizeObserver.observe(document.body)
+
+    btf.addGlobalFn('pjaxSendOnce', () => {
+      headerObserver.disconnect()
+      resizeObserver.disconnect()
+      $sentinel.remove()
+    })
 
+    const scrollTask = btf.rafThrottle(() => {
+      const currentTop = window.scrollY || document.documentElement.scrollTop
+      const isDown = scrollDirection(currentTop)
+      if (isPast) {
         if (isDown) {
           if (flag !== 'down') {
             $header.classList.remove('nav-visible')
@@ -443,17 +1073,10 @@ document.addEventListener('DOMContentLoaded', () => {
             flag = 'up'
           }
         }
-      } else {
-        flag = ''
-        if (currentTop === 0) {
-          $header.classList.remove('nav-fixed', 'nav-visible')
-        }
-        $rightside.classList.remove('rightside-show')
       }
 
       isShowPercent && rightsideScrollPercent(currentTop)
-      checkDocumentHeight()
-    }, 300)
+    })
 
     btf.addEventListenerPjax(window, 'scroll', scrollTask, { passive: true })
   }
@@ -477,8 +1100,29 @@ document.addEventListener('DOMContentLoaded', () => {
       $tocPercentage = $cardTocLayout.querySelector('.toc-percentage')
       isExpand = $cardToc.classList.contains('is-expand')
 
+      // 有子目錄的項目可以展開/收起，每個標題都可以複製連結
+      $cardToc.querySelectorAll('.toc-item').forEach(item => {
+        const $link = item.querySelector(':scope > .toc-link')
+        $link.insertAdjacentHTML('afterend', '<button class="toc-copy-link" type="button" title="复制链接"><i class="fas fa-link"></i></button>')
+        if (item.querySelector(':scope > .toc-child')) {
+          item.insertAdjacentHTML('afterbegin', '<button class="toc-toggle" type="button"><i class="fas fa-caret-right"></i></button>')
+        }
+      })
+
+      const toggleTocItem = item => {
+        const isOpen = getComputedStyle(item.querySelector(':scope > .toc-child')).display !== 'none'
+        item.classList.toggle('toc-collapsed', isOpen)
+        item.classList.toggle('toc-expanded', !isOpen)
+      }
+
       // toc元素點擊
       const tocItemClickFn = e => {
+        const toggle = e.target.closest('.toc-toggle')
+        if (toggle) return toggleTocItem(toggle.parentNode)
+
+        const copyButton = e.target.closest('.toc-copy-link')
+        if (copyButton) return btf.copyWithNotice(location.origin + location.pathname + copyButton.previousElementSibling.getAttribute('href'), copyButton)
+
         const target = e.target.closest('.toc-link')
         if (!target) return
 
@@ -510,28 +1154,76 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // find head position & add active class
     const $articleList = $article.querySelectorAll('h1,h2,h3,h4,h5,h6')
-    let detectItem = ''
-
-    const findHeadPosition = top => {
-      if (top === 0) return false
+    let detectItem = -1
+
+    // 目錄旁的縮略圖，每段高度對應章節長度，填充部分表示已讀，由 findHeadPosition 更新
+    let updateMinimap = () => {}
+    if (isToc && $articleList.length) {
+      const $minimap = document.createElement('div')
+      $minimap.className = 'toc-minimap'
+      $articleList.forEach(ele => {
+        const item = document.createElement('span')
+        item.className = 'toc-minimap-item'
+        item.title = ele.textContent.trim()
+        item.innerHTML = '<span class="toc-minimap-read"></span>'
+        $minimap.appendChild(item)
+      })
+      $cardToc.parentNode.appendChild($minimap)
+      const $minimapItems = [...$minimap.children]
 
-      let currentId = ''
-      let currentIndex = ''
+      btf.addEventListenerPjax($minimap, 'click', e => {
+        const index = $minimapItems.indexOf(e.target.closest('.toc-minimap-item'))
+        if (index !== -1) btf.scrollToDest(btf.getEleTop($articleList[index]), 300)
+      })
 
-      for (let i = 0; i < $articleList.length; i++) {
-        const ele = $articleList[i]
-        if (top > btf.getEleTop(ele) - 80) {
-          const id = ele.id
-          currentId = id ? '#' + encodeURI(id) : ''
-          currentIndex = i
-        } else {
-          break
-        }
+      // 標題位置只在文章尺寸變化時重新計算，滾動時不再遍歷 offsetParent
+      let starts, articleEnd
+      const measure = () => {
+        starts = [...$articleList].map(ele => btf.getEleTop(ele))
+        articleEnd = btf.getEleTop($article) + $article.offsetHeight
+      }
+      measure()
+
+      updateMinimap = (top, currentIndex) => {
+        const total = Math.max(articleEnd - starts[0], 1)
+        const isBottom = top + window.innerHeight >= document.documentElement.scrollHeight - 1
+        const current = isBottom ? articleEnd : top + 80
+
+        $minimapItems.forEach((item, i) => {
+          const start = starts[i]
+          const end = i + 1 < starts.length ? starts[i + 1] : articleEnd
+          const length = Math.max(end - start, 1)
+          const read = Math.min(Math.max((current - start) / length, 0), 1)
+          item.style.height = `${(end - start) / total * 100}%`
+          item.firstElementChild.style.height = `${read * 100}%`
+          item.classList.toggle('active', i === currentIndex)
+        })
       }
 
+      const resizeObserver = new ResizeObserver(() => {
+        measure()
+        findHeadPosition()
+      })
+      resizeObserver.observe($article)
+      btf.addGlobalFn('pjaxSendOnce', () => resizeObserver.disconnect())
+    }
+
+    // 標題是否已經越過視窗頂部 80px 的位置
+    const passedHeads = [...$articleList].map(() => false)
+
+    const findHeadPosition = () => {
+      const currentTop = window.scrollY || document.documentElement.scrollTop
+      const currentIndex = passedHeads.lastIndexOf(true)
+      updateMinimap(currentTop, currentIndex)
+
+      if (currentTop === 0) return false
+
+      const id = currentIndex === -1 ? '' : $articleList[currentIndex].id
+      const currentId = id ? '#' + encodeURI(id) : ''
+
       if (detectItem === currentIndex) return
 
-      if (isAnchor) btf.updateAnchor(currentId)
+      if (isAnchor && !blockLinks.isPinned()) btf.updateAnchor(currentId)
 
       detectItem = currentIndex
 
@@ -544,25 +1236,40 @@ document.addEventListener('DOMContentLoaded', () => {
 
           setTimeout(() => autoScrollToc(currentActive), 0)
 
-          if (!isExpand) {
-            let parent = currentActive.parentNode
-            while (!parent.matches('.toc')) {
-              if (parent.matches('li')) parent.classList.add('active')
-              parent = parent.parentNode
+          // 自動展開當前分支，包括手動收起的
+          let parent = currentActive.parentNode
+          while (!parent.matches('.toc')) {
+            if (parent.matches('li')) {
+              !isExpand && parent.classList.add('active')
+              parent.classList.remove('toc-collapsed')
             }
+            parent = parent.parentNode
           }
         }
       }
     }
 
+    // 視窗從 80px 往下無限延伸，標題越過 80px 時 intersectionRatio 跨過 1，快速跳轉也會觸發
+    const headIndex = new Map([...$articleList].map((ele, i) => [ele, i]))
+    const headObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        passedHeads[headIndex.get(entry.target)] = entry.boundingClientRect.top < 80
+      })
+      findHeadPosition()
+    }, { rootMargin: '-80px 0px 100000px 0px', threshold: 1 })
+    $articleList.forEach(ele => headObserver.observe(ele))
+    btf.addGlobalFn('pjaxSendOnce', () => headObserver.disconnect())
+
     // main of scroll
-    const tocScrollFn = btf.throttle(() => {
+    const tocScrollFn = btf.rafThrottle(() => {
       const currentTop = window.scrollY || document.documentElement.scrollTop
       if (isToc && GLOBAL_CONFIG.percent.toc) {
         $tocPercentage.textContent = btf.getScrollPercent(currentTop, $article)
       }
-      findHeadPosition(currentTop)
-    }, 100)
+      findHeadPosition()
+    })
+
+    findHeadPosition()
 
     btf.addEventListenerPjax(window, 'scroll', tocScrollFn, { passive: true })
   }
@@ -584,6 +1291,110 @@ document.addEventListener('DOMContentLoaded', () => {
     })
   }
 
+  /**
+   * Find in page
+   * 文章內查找，Enter / Shift+Enter 切換匹配項
+   */
+  const findInPage = (() => {
+    let $bar = null
+    let marks = []
+    let current = -1
+
+    const updateCount = () => {
+      $bar.querySelector('.find-bar-count').textContent = `${marks.length ? current + 1 : 0} / ${marks.length}`
+    }
+
+    const step = offset => {
+      if (!marks.length) return
+      marks[current] && marks[current].classList.remove('current')
+      current = (current + offset + marks.length) % marks.length
+      const mark = marks[current]
+      mark.classList.add('current')
+      btf.revealElement(mark)
+      btf.scrollToDest(btf.getEleTop(mark) - window.innerHeight / 3, 300)
+      updateCount()
+    }
+
+    const clear = () => {
+      btf.unmarkText(marks)
+      marks = []
+      current = -1
+    }
+
+    const find = btf.debounce(() => {
+      clear()
+      const keywords = $bar.querySelector('input').value.trim().split(/\s+/)
+      marks = btf.markText(document.getElementById('article-container'), keywords, 'find-keyword', 'button, select, textarea, .mermaid, .highlight-tools, .code-expand-btn')
+      marks.length ? step(1) : updateCount()
+    }, 200)
+
+    const handleKeydown = e => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        step(e.shiftKey ? -1 : 1)
+      } else if (e.key === 'Escape') {
+        close()
+      }
+    }
+
+    const handleClick = e => {
+      const $target = e.target.closest('button')
+      if (!$target) return
+      if ($target.classList.contains('find-bar-prev')) step(-1)
+      else if ($target.classList.contains('find-bar-next')) step(1)
+      else if ($target.classList.contains('find-bar-close')) close()
+    }
+
+    const createBar = () => {
+      $bar = document.createElement('div')
+      $bar.id = 'find-bar'
+      $bar.innerHTML = `
+        <input type="search" placeholder="页内查找" autocomplete="off" spellcheck="false">
+        <span class="find-bar-count">0 / 0</span>
+        <button class="find-bar-prev" type="button" title="上一个"><i class="fas fa-chevron-up"></i></button>
+        <button class="find-bar-next" type="button" title="下一个"><i class="fas fa-chevron-down"></i></button>
+        <button class="find-bar-close" type="button" title="关闭"><i class="fas fa-times"></i></button>`
+      $bar.querySelector('input').addEventListener('input', find)
+      $bar.querySelector('input').addEventListener('keydown', handleKeydown)
+      $bar.addEventListener('click', handleClick)
+      document.body.appendChild($bar)
+    }
+
+    const open = () => {
+      if (!document.getElementById('article-container')) return
+      $bar || createBar()
+      $bar.classList.add('open')
+      const $input = $bar.querySelector('input')
+      $input.focus()
+      $input.select()
+    }
+
+    const close = () => {
+      if (!$bar) return
+      $bar.classList.remove('open')
+      clear()
+      $bar.querySelector('input').value = ''
+      updateCount()
+    }
+
+    // shortcut: Ctrl/Cmd + Shift + F
+    document.addEventListener('keydown', e => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key || '').toLowerCase() === 'f') {
+        if (!document.getElementById('article-container')) return
+        e.preventDefault()
+        open()
+      }
+    })
+
+    return { open, close }
+  })()
+
+  const addFindInPageButton = () => {
+    const $readmode = document.getElementById('readmode')
+    if (!$readmode || document.getElementById('find-in-page')) return
+    $readmode.insertAdjacentHTML('afterend', '<button id="find-in-page" type="button" title="页内查找 (Ctrl+Shift+F)"><i class="fas fa-search"></i></button>')
+  }
+
   /**
    * Rightside
    */
@@ -627,6 +1438,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
       hideLayout.classList.toggle('show')
     },
+    'find-in-page': () => { // Find in the article
+      findInPage.open()
+    },
+    'save-offline': (p, item) => { // Save the post for offline reading
+      offlineFn.save(item)
+    },
+    'annotations-button': () => { // Show the annotations of the post
+      annotations.openPanel()
+    },
+    'bookmark-post': (p, item) => { // Bookmark the post
+      bookmarks.toggle().then(saved => {
+        item.title = saved ? '已收藏' : '收藏文章'
+      })
+    },
     'go-up': () => { // Back to top
       btf.scrollToDest(0, 500)
     },
@@ -774,19 +1599,73 @@ document.addEventListener('DOMContentLoaded', () => {
       })
     }
 
+    const activateTab = (navTabs, index) => {
+      const tabContents = [...navTabs.nextElementSibling.children]
+      setActiveClass([...navTabs.children], index)
+      navTabs.classList.remove('no-default')
+      setActiveClass(tabContents, index)
+      addJustifiedGallery(tabContents[index].querySelectorAll('.gallery-container'), true)
+    }
+
+    // 每個分頁都只有代碼塊的 tabs 視為代碼組，同名分頁在整個頁面同步切換
+    const isCodeGroup = navTabs => [...navTabs.nextElementSibling.children].every(content =>
+      content.querySelector('figure.highlight, pre') &&
+      [...content.children].every(child => child.matches('figure.highlight, pre, .code-runner'))
+    )
+
+    const getLabel = button => button.textContent.trim()
+
+    const codeGroups = [...navTabsElements]
+      .map(tabElement => tabElement.firstElementChild)
+      .filter(isCodeGroup)
+
+    const syncCodeGroups = label => {
+      codeGroups.forEach(navTabs => {
+        const index = [...navTabs.children].findIndex(button => getLabel(button) === label)
+        if (index !== -1 && !navTabs.children[index].classList.contains('active')) activateTab(navTabs, index)
+      })
+    }
+
+    // 最近選擇的標籤排在前面，npm/pnpm 與 JS/TS 這類不同組合可以各自記住
+    const codeGroupKey = 'code-group-tabs'
+    const saveCodeGroupLabel = label => {
+      const labels = (btf.saveToLocal.get(codeGroupKey) || []).filter(item => item !== label)
+      btf.saveToLocal.set(codeGroupKey, [label, ...labels].slice(0, 20), 365)
+    }
+
+    const restoreCodeGroups = () => {
+      const labels = btf.saveToLocal.get(codeGroupKey) || []
+      codeGroups.forEach(navTabs => {
+        const buttons = [...navTabs.children]
+        const label = labels.find(label => buttons.some(button => getLabel(button) === label))
+        if (label === undefined) return
+        const index = buttons.findIndex(button => getLabel(button) === label)
+        if (!buttons[index].classList.contains('active')) activateTab(navTabs, index)
+      })
+    }
+
     const handleNavClick = e => {
       const target = e.target.closest('button')
       if (!target || target.classList.contains('active')) return
 
-      const navItems = [...e.currentTarget.children]
-      const tabContents = [...e.currentTarget.nextElementSibling.children]
-      const indexOfButton = navItems.indexOf(target)
-      setActiveClass(navItems, indexOfButton)
-      e.currentTarget.classList.remove('no-default')
-      setActiveClass(tabContents, indexOfButton)
-      addJustifiedGallery(tabContents[indexOfButton].querySelectorAll('.gallery-container'), true)
+      const navTabs = e.currentTarget
+      if (!codeGroups.includes(navTabs)) {
+        activateTab(navTabs, [...navTabs.children].indexOf(target))
+        return
+      }
+
+      // 上方的代碼組高度改變時，保持點擊的分頁在視窗中的位置不變
+      const label = getLabel(target)
+      const top = target.getBoundingClientRect().top
+      activateTab(navTabs, [...navTabs.children].indexOf(target))
+      syncCodeGroups(label)
+      const offset = target.getBoundingClientRect().top - top
+      offset && window.scrollBy(0, offset)
+      saveCodeGroupLabel(label)
     }
 
+    restoreCodeGroups()
+
     const handleToTopClick = tabElement => e => {
       if (e.target.closest('button')) {
         btf.scrollToDest(btf.getEleTop(tabElement), 300)
@@ -825,19 +1704,1059 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  const lazyloadImg = () => {
-    window.lazyLoadInstance = new LazyLoad({
-      elements_selector: 'img',
-      threshold: 0,
-      data_src: 'lazy-src'
-    })
+  /**
+   * 閱讀進度
+   * 記錄每篇文章最近的標題和偏移，文章修改後標題找不到時退回到百分比
+   */
+  const readingProgress = (() => {
+    const storageKey = 'reading-progress'
+    const resumeKey = 'reading-progress-resume'
+    const maxRecords = 20
+
+    const load = () => btf.saveToLocal.get(storageKey) || {}
+
+    const save = records => {
+      const kept = Object.entries(records)
+        .sort((a, b) => b[1].time - a[1].time)
+        .slice(0, maxRecords)
+      btf.saveToLocal.set(storageKey, Object.fromEntries(kept), 30)
+    }
 
-    btf.addGlobalFn('pjaxComplete', () => {
-      window.lazyLoadInstance.update()
-    }, 'lazyload')
-  }
+    const getHeadings = $article => [...$article.querySelectorAll('h1,h2,h3,h4,h5,h6')]
 
-  const relativeDate = selector => {
+    const getPosition = $article => {
+      const currentTop = window.scrollY || document.documentElement.scrollTop
+      const percent = btf.getScrollPercent(currentTop, $article)
+      let heading = null
+      for (const ele of getHeadings($article)) {
+        if (currentTop > btf.getEleTop(ele) - 80) heading = ele
+        else break
+      }
+
+      return {
+        id: heading ? heading.id : '',
+        heading: heading ? heading.textContent.trim() : '',
+        offset: heading ? Math.round(currentTop - btf.getEleTop(heading)) : 0,
+        percent
+      }
+    }
+
+    const resolvePosition = ($article, record) => {
+      const headings = getHeadings($article)
+      const heading = headings.find(ele => record.id && ele.id === record.id) ||
+        headings.find(ele => record.heading && ele.textContent.trim() === record.heading)
+
+      if (heading) {
+        const next = headings[headings.indexOf(heading) + 1]
+        const top = btf.getEleTop(heading)
+        const end = next ? btf.getEleTop(next) : btf.getEleTop($article) + $article.clientHeight
+        return top + Math.min(record.offset, Math.max(end - top - 80, 0))
+      }
+
+      return btf.getEleTop($article) + Math.max($article.clientHeight - window.innerHeight, 0) * record.percent / 100
+    }
+
+    const showResume = (text, jump) => {
+      if (GLOBAL_CONFIG.Snackbar !== undefined) {
+        btf.snackbarShow(text, true, 8000, {
+          actionText: '继续',
+          onActionClick: ele => {
+            ele.style.opacity = 0
+            jump()
+          }
+        })
+        return
+      }
+
+      const $notice = document.createElement('div')
+      $notice.className = 'reading-resume'
+      $notice.innerHTML = '<span class="reading-resume-text"></span><button class="reading-resume-go" type="button">继续</button><button class="reading-resume-close" type="button"><i class="fas fa-times"></i></button>'
+      $notice.querySelector('.reading-resume-text').textContent = text
+      document.body.appendChild($notice)
+
+      const close = () => $notice.remove()
+      const timer = setTimeout(close, 8000)
+      $notice.addEventListener('click', e => {
+        if (!e.target.closest('button')) return
+        clearTimeout(timer)
+        e.target.closest('.reading-resume-go') && jump()
+        close()
+      })
+      btf.addGlobalFn('pjaxSendOnce', close)
+    }
+
+    const track = () => {
+      const $article = document.getElementById('article-container')
+      if (!$article) return
+
+      // pjax 發送時地址可能已經改變，先記下當前文章
+      const path = decodeURI(location.pathname)
+      const title = GLOBAL_CONFIG_SITE.title
+
+      const record = () => {
+        const position = getPosition($article)
+        const records = load()
+        if (position.percent >= 95) {
+          delete records[path]
+        } else if (position.percent > 2) {
+          records[path] = { ...position, title, time: Date.now() }
+        } else {
+          return
+        }
+        save(records)
+      }
+
+      const saved = load()[path]
+      const resumeDirectly = sessionStorage.getItem(resumeKey) === path
+      sessionStorage.removeItem(resumeKey)
+
+      const jump = () => btf.scrollToDest(resolvePosition($article, saved), 300)
+      const currentTop = window.scrollY || document.documentElement.scrollTop
+      if (saved && !location.hash && currentTop < 100) {
+        resumeDirectly ? jump() : showResume(`继续阅读 ${saved.heading || `${saved.percent}%`}?`, jump)
+      }
+
+      btf.addEventListenerPjax(window, 'scroll', btf.debounce(record, 500), { passive: true })
+      btf.addEventListenerPjax(window, 'pagehide', record)
+      btf.addGlobalFn('pjaxSendOnce', record)
+    }
+
+    // 側欄中讀到一半的文章
+    const renderAside = () => {
+      const $aside = document.getElementById('aside-content')
+      if (!$aside) return
+
+      const path = decodeURI(location.pathname)
+      const records = Object.entries(load())
+        .filter(([key]) => key !== path)
+        .sort((a, b) => b[1].time - a[1].time)
+        .slice(0, 5)
+      if (!records.length) return
+
+      const $card = document.createElement('div')
+      $card.className = 'card-widget card-continue-reading'
+      $card.innerHTML = '<div class="item-headline"><i class="fas fa-book-open"></i><span>继续阅读</span></div><div class="aside-list"></div>'
+      const $list = $card.querySelector('.aside-list')
+      records.forEach(([key, item]) => {
+        const $item = document.createElement('div')
+        $item.className = 'aside-list-item no-cover'
+        $item.innerHTML = '<div class="content"><a class="title"></a><span class="continue-reading-meta"></span></div>'
+        const $link = $item.querySelector('a')
+        $link.href = encodeURI(key)
+        $link.title = $link.textContent = item.title
+        $item.querySelector('.continue-reading-meta').textContent = item.heading ? `${item.percent}% · ${item.heading}` : `${item.percent}%`
+        $list.appendChild($item)
+      })
+
+      btf.addEventListenerPjax($list, 'click', e => {
+        const $link = e.target.closest('a')
+        $link && sessionStorage.setItem(resumeKey, decodeURI(new URL($link.href).pathname))
+      })
+
+      const $recent = $aside.querySelector('.card-recent-post')
+      $recent ? $recent.before($card) : $aside.prepend($card)
+    }
+
+    return { track, renderAside }
+  })()
+
+  /**
+   * 離線閱讀
+   * 註冊 service worker，文章頁在 rightside 加上離線保存按鈕
+   */
+  const offlineFn = (() => {
+    const isSupported = 'serviceWorker' in navigator && window.isSecureContext
+    const cacheName = 'offline'
+    let registering = null
+
+    const register = () => {
+      if (!isSupported) return
+
+      if (!document.querySelector('link[rel="manifest"]')) {
+        document.head.insertAdjacentHTML('beforeend', `<link rel="manifest" href="${GLOBAL_CONFIG.root}manifest.json">`)
+      }
+
+      const loaded = document.readyState === 'complete' ? Promise.resolve() : new Promise(resolve => window.addEventListener('load', resolve, { once: true }))
+      registering = loaded.then(() => navigator.serviceWorker.register(`${GLOBAL_CONFIG.root}sw.js`, { scope: GLOBAL_CONFIG.root }))
+      registering.catch(err => console.error('Service worker registration failed: ', err))
+    }
+
+    // serviceWorker.ready never resolves when the registration or the install failed, follow the worker instead
+    const getActiveWorker = async () => {
+      const registration = await registering.catch(() => null)
+      if (!registration) return null
+      if (registration.active) return registration.active
+
+      const worker = registration.installing || registration.waiting
+      if (!worker) return null
+      return new Promise(resolve => {
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'activated') resolve(worker)
+          else if (worker.state === 'redundant') resolve(null)
+        })
+      })
+    }
+
+    const notify = ($button, text) => {
+      if (GLOBAL_CONFIG.Snackbar !== undefined) btf.snackbarShow(text)
+      $button.title = text
+    }
+
+    const getPostUrls = () => {
+      const urls = [location.pathname]
+      const $cover = document.getElementById('page-header')
+      const cover = $cover && getComputedStyle($cover).backgroundImage.match(/url\(["']?(.+?)["']?\)/)
+      cover && urls.push(cover[1])
+      document.querySelectorAll('#article-container img').forEach(img => {
+        const src = img.getAttribute('data-lazy-src') || img.currentSrc || img.src
+        src && !src.startsWith('data:') && urls.push(src)
+      })
+      return [...new Set(urls.map(url => new URL(url, location.href).href))]
+    }
+
+    const markSaved = async $button => {
+      const cache = await caches.open(cacheName)
+      const saved = !!(await cache.match(location.pathname))
+      $button.classList.toggle('saved', saved)
+      $button.title = saved ? '已保存，可离线阅读' : '保存以离线阅读'
+    }
+
+    const addButton = () => {
+      if (!isSupported) return
+      const $readmode = document.getElementById('readmode')
+      if (!$readmode || document.getElementById('save-offline')) return
+      $readmode.insertAdjacentHTML('afterend', '<button id="save-offline" type="button" title="保存以离线阅读"><i class="fas fa-download"></i></button>')
+      markSaved(document.getElementById('save-offline'))
+    }
+
+    const save = async $button => {
+      if ($button.classList.contains('saving')) return
+
+      $button.classList.add('saving')
+      const worker = await getActiveWorker()
+      if (!worker) {
+        $button.classList.remove('saving')
+        notify($button, '离线功能不可用，保存失败')
+        return
+      }
+
+      const channel = new MessageChannel()
+      const result = await new Promise(resolve => {
+        channel.port1.onmessage = e => resolve(e.data)
+        worker.postMessage({ type: 'save-offline', urls: getPostUrls() }, [channel.port2])
+      })
+      $button.classList.remove('saving')
+
+      if (result.ok) {
+        await markSaved($button)
+        notify($button, '已保存，可离线阅读')
+      } else {
+        notify($button, result.saved ? `已保存，${result.failed} 个资源保存失败` : '保存失败')
+      }
+    }
+
+    return { register, addButton, save }
+  })()
+
+  const downloadFile = (filename, content, type) => {
+    const $link = document.createElement('a')
+    $link.href = URL.createObjectURL(new Blob([content], { type }))
+    $link.download = filename
+    $link.click()
+    setTimeout(() => URL.revokeObjectURL($link.href), 0)
+  }
+
+  // 書籤和批註共用的側邊面板
+  const createSidePanel = ({ id, title, icon, actions = '' }) => {
+    const $mask = document.createElement('div')
+    $mask.className = 'side-panel-mask'
+    const $panel = document.createElement('div')
+    $panel.id = id
+    $panel.className = 'side-panel'
+    $panel.innerHTML = `
+      <div class="side-panel-header">
+        <span class="side-panel-title"><i class="${icon}"></i> ${title}</span>
+        ${actions}
+        <button class="side-panel-close" type="button" title="关闭"><i class="fas fa-times"></i></button>
+      </div>
+      <div class="side-panel-status"></div>
+      <div class="side-panel-list"></div>`
+    document.body.append($mask, $panel)
+
+    const $status = $panel.querySelector('.side-panel-status')
+    let statusTimer = null
+
+    const isOpen = () => $panel.classList.contains('open')
+
+    const open = () => {
+      $panel.classList.add('open')
+      $mask.classList.add('open')
+      $panel.querySelector('.side-panel-close').focus()
+    }
+
+    const close = () => {
+      $panel.classList.remove('open')
+      $mask.classList.remove('open')
+    }
+
+    const showStatus = text => {
+      if (GLOBAL_CONFIG.Snackbar !== undefined) return btf.snackbarShow(text)
+      $status.textContent = text
+      clearTimeout(statusTimer)
+      statusTimer = setTimeout(() => { $status.textContent = '' }, 2000)
+    }
+
+    $mask.addEventListener('click', close)
+    $panel.querySelector('.side-panel-close').addEventListener('click', close)
+    $panel.addEventListener('keydown', e => { e.key === 'Escape' && close() })
+
+    return { $panel, $list: $panel.querySelector('.side-panel-list'), isOpen, open, close, showStatus }
+  }
+
+  /**
+   * 書籤
+   * 文章和章節保存在 IndexedDB，可以導出 JSON 分享給其他人導入
+   */
+  const bookmarks = (() => {
+    let store = window.indexedDB ? btf.idbStore('butterfly-bookmarks') : null
+    let panel = null
+
+    // IndexedDB 被禁用時（部分隱私模式）open 會失敗，此時隱藏書籤的所有入口
+    const disable = err => {
+      console.error('Bookmarks are unavailable: ', err)
+      store = null
+      panel && panel.close()
+      document.querySelectorAll('#bookmark-post, #article-container .heading-bookmark').forEach(ele => ele.remove())
+      document.querySelectorAll('.bookmarks-menu').forEach(ele => ele.parentNode.remove())
+      return false
+    }
+
+    const getPath = () => decodeURI(location.pathname)
+
+    const getHref = item => encodeURI(item.path + item.hash)
+
+    const setSaved = ($button, saved) => {
+      $button.classList.toggle('saved', saved)
+      $button.querySelector('i').className = `${saved ? 'fas' : 'far'} fa-bookmark`
+    }
+
+    const refreshButtons = async () => {
+      const ids = new Set((await store.getAll()).map(item => item.id))
+      const path = getPath()
+      const $post = document.getElementById('bookmark-post')
+      $post && setSaved($post, ids.has(path))
+      document.querySelectorAll('#article-container .heading-bookmark').forEach($button => {
+        setSaved($button, ids.has(`${path}#${$button.parentNode.id}`))
+      })
+    }
+
+    const render = async () => {
+      const items = (await store.getAll()).sort((a, b) => b.time - a.time)
+      const { $list } = panel
+      $list.textContent = ''
+
+      if (!items.length) {
+        $list.innerHTML = '<div class="side-panel-empty">还没有书签</div>'
+        return
+      }
+
+      items.forEach(item => {
+        const $item = document.createElement('div')
+        $item.className = 'side-panel-item'
+        $item.dataset.id = item.id
+        $item.innerHTML = `
+          <a class="bookmarks-item-title"></a>
+          ${item.heading ? '<div class="bookmarks-item-heading"></div>' : ''}
+          <textarea class="side-panel-note" rows="1" placeholder="添加备注"></textarea>
+          <button class="side-panel-remove" type="button" title="删除"><i class="fas fa-trash-alt"></i></button>`
+        const $link = $item.querySelector('a')
+        $link.href = getHref(item)
+        $link.textContent = item.title
+        item.heading && ($item.querySelector('.bookmarks-item-heading').textContent = `# ${item.heading}`)
+        $item.querySelector('textarea').value = item.note
+        $list.appendChild($item)
+      })
+    }
+
+    const toggle = async (hash = '', heading = '') => {
+      if (!store) return false
+      const path = getPath()
+      const id = path + hash
+      try {
+        const exists = await store.get(id)
+        if (exists) {
+          await store.delete(id)
+        } else {
+          await store.put({ id, path, hash, title: GLOBAL_CONFIG_SITE.title, heading, note: '', time: Date.now() })
+        }
+        await refreshButtons()
+        panel && panel.isOpen() && render().catch(disable)
+        return !exists
+      } catch (err) {
+        return disable(err)
+      }
+    }
+
+    const exportJSON = async () => {
+      try {
+        const data = JSON.stringify({ version: 1, bookmarks: await store.getAll() }, null, 2)
+        downloadFile(`bookmarks-${new Date().toISOString().slice(0, 10)}.json`, data, 'application/json')
+      } catch (err) {
+        disable(err)
+      }
+    }
+
+    // 導入時只接受站內路徑（// 開頭是其他網站），同一篇文章或章節覆蓋原來的記錄
+    const importJSON = async file => {
+      try {
+        const data = JSON.parse(await file.text())
+        const items = (Array.isArray(data) ? data : data.bookmarks || [])
+          .filter(item => item && typeof item.path === 'string' && item.path.startsWith('/') && !item.path.startsWith('//') && item.title)
+          .map(item => {
+            const hash = typeof item.hash === 'string' && item.hash.startsWith('#') ? item.hash : ''
+            return {
+              id: item.path + hash,
+              path: item.path,
+              hash,
+              title: String(item.title),
+              heading: String(item.heading || ''),
+              note: String(item.note || ''),
+              time: Number(item.time) || Date.now()
+            }
+          })
+        await Promise.all(items.map(item => store.put(item)))
+        panel.showStatus(`已导入 ${items.length} 个书签`)
+      } catch (err) {
+        console.error('Failed to import bookmarks: ', err)
+        panel.showStatus('导入失败')
+      }
+      render().then(refreshButtons).catch(disable)
+    }
+
+    const createPanel = () => {
+      panel = createSidePanel({
+        id: 'bookmarks-panel',
+        title: '书签',
+        icon: 'fas fa-bookmark',
+        actions: `
+          <button class="bookmarks-import" type="button" title="导入"><i class="fas fa-file-import"></i></button>
+          <button class="bookmarks-export" type="button" title="导出"><i class="fas fa-file-export"></i></button>
+          <input class="bookmarks-file" type="file" accept=".json,application/json" hidden>`
+      })
+      const { $panel } = panel
+
+      const $file = $panel.querySelector('.bookmarks-file')
+      $file.addEventListener('change', () => {
+        $file.files[0] && importJSON($file.files[0])
+        $file.value = ''
+      })
+
+      $panel.addEventListener('click', e => {
+        const $target = e.target.closest('button, a')
+        if (!$target) return
+        if ($target.matches('a')) return panel.close()
+        if ($target.matches('.bookmarks-export')) return exportJSON()
+        if ($target.matches('.bookmarks-import')) return $file.click()
+        if ($target.matches('.side-panel-remove')) {
+          store.delete($target.parentNode.dataset.id)
+            .then(render)
+            .then(refreshButtons)
+            .catch(disable)
+        }
+      })
+
+      $panel.addEventListener('change', async e => {
+        if (!e.target.matches('.side-panel-note')) return
+        try {
+          const item = await store.get(e.target.parentNode.dataset.id)
+          item && await store.put({ ...item, note: e.target.value.trim() })
+        } catch (err) {
+          disable(err)
+        }
+      })
+    }
+
+    const open = () => {
+      if (!store) return
+      panel || createPanel()
+      render().catch(disable)
+      panel.open()
+    }
+
+    // 導航欄和手機側欄的菜單入口
+    const addMenuItem = () => {
+      if (!store) return
+      document.querySelectorAll('#menus .menus_items, #sidebar-menus .menus_items').forEach($items => {
+        if ($items.querySelector('.bookmarks-menu')) return
+        $items.insertAdjacentHTML('beforeend', '<div class="menus_item"><a class="site-page bookmarks-menu" href="javascript:void(0);"><i class="fa-fw fas fa-bookmark"></i><span> 书签</span></a></div>')
+      })
+    }
+
+    const addPostButtons = () => {
+      const $article = document.getElementById('article-container')
+      if (!store || !$article) return
+
+      const $readmode = document.getElementById('readmode')
+      if ($readmode && !document.getElementById('bookmark-post')) {
+        $readmode.insertAdjacentHTML('afterend', '<button id="bookmark-post" type="button" title="收藏文章"><i class="far fa-bookmark"></i></button>')
+        // 跳轉到其他頁面時移除，下一篇文章會重新加上
+        btf.addGlobalFn('pjaxSendOnce', () => {
+          const $post = document.getElementById('bookmark-post')
+          $post && $post.remove()
+        }, 'removeBookmarkPost')
+      }
+
+      $article.querySelectorAll('h1,h2,h3,h4,h5,h6').forEach(ele => {
+        if (!ele.id || ele.querySelector('.heading-bookmark')) return
+        ele.insertAdjacentHTML('beforeend', '<button class="heading-bookmark" type="button" title="收藏章节"><i class="far fa-bookmark"></i></button>')
+      })
+
+      btf.addEventListenerPjax($article, 'click', e => {
+        const $button = e.target.closest('.heading-bookmark')
+        if (!$button) return
+        const $heading = $button.parentNode
+        toggle(`#${$heading.id}`, $heading.textContent.trim())
+      })
+
+      refreshButtons().catch(disable)
+    }
+
+    document.addEventListener('click', e => {
+      if (!e.target.closest('.bookmarks-menu')) return
+      e.preventDefault()
+      mobileSidebarOpen && sidebarFn.close()
+      open()
+    })
+
+    return { open, toggle, addMenuItem, addPostButtons }
+  })()
+
+  /**
+   * 批註
+   * 選中文章文字後可以高亮、記筆記或複製；同時保存文字引用和位置，文章小幅修改後仍能找回原文
+   */
+  const annotations = (() => {
+    let store = window.indexedDB ? btf.idbStore('butterfly-annotations') : null
+    const markClass = 'annotation-highlight'
+    let $article = null
+    let $popover = null
+    let panel = null
+    let records = []
+    let marks = {}
+    let pendingRange = null
+
+    const getPath = () => decodeURI(location.pathname)
+
+    const getUrl = () => location.origin + location.pathname
+
+    const getFragmentUrl = selector => {
+      const { text } = btf.getTextNodes($article)
+      const isRepeated = text.indexOf(selector.exact) !== text.lastIndexOf(selector.exact)
+      return `${getUrl()}#${btf.textFragment(selector, isRepeated)}`
+    }
+
+    const toQuote = (text, url) => `${text.trim().split('\n').map(line => `> ${line}`).join('\n')}\n>\n> —— [${GLOBAL_CONFIG_SITE.title}](${url})`
+
+    const hidePopover = () => {
+      $popover && $popover.classList.remove('show')
+      pendingRange = null
+    }
+
+    const copy = async text => {
+      let message = GLOBAL_CONFIG.copy.success
+      try {
+        await navigator.clipboard.writeText(text)
+      } catch (err) {
+        message = GLOBAL_CONFIG.copy.noSupport
+      }
+
+      if (GLOBAL_CONFIG.Snackbar !== undefined) {
+        btf.snackbarShow(message)
+        hidePopover()
+        return
+      }
+      $popover.querySelector('.annotation-popover-tip').textContent = message
+      $popover.classList.add('tip')
+      setTimeout(() => {
+        $popover.classList.remove('tip')
+        hidePopover()
+      }, 800)
+    }
+
+    const popoverButtons = {
+      selection: `
+        <button type="button" data-action="highlight"><i class="fas fa-highlighter"></i> 高亮</button>
+        <button type="button" data-action="note"><i class="fas fa-sticky-note"></i> 笔记</button>
+        <button type="button" data-action="copy-link"><i class="fas fa-link"></i> 复制链接</button>
+        <button type="button" data-action="copy-quote"><i class="fas fa-quote-right"></i> 复制引用</button>`,
+      annotation: `
+        <button type="button" data-action="note"><i class="fas fa-sticky-note"></i> 笔记</button>
+        <button type="button" data-action="copy-quote"><i class="fas fa-quote-right"></i> 复制引用</button>
+        <button type="button" data-action="remove"><i class="fas fa-trash-alt"></i> 删除</button>`
+    }
+
+    const showPopover = (rect, mode, id = '') => {
+      if (!$popover) {
+        $popover = document.createElement('div')
+        $popover.className = 'annotation-popover'
+        document.body.appendChild($popover)
+        // 保持選區，點擊按鈕時不會取消選中
+        $popover.addEventListener('mousedown', e => e.preventDefault())
+        $popover.addEventListener('click', handlePopoverClick)
+      }
+
+      $popover.innerHTML = `${popoverButtons[mode]}<span class="annotation-popover-tip"></span>`
+      $popover.dataset.mode = mode
+      $popover.dataset.id = id
+      $popover.classList.add('show')
+
+      const top = rect.top + window.scrollY
+      const isAbove = rect.top > $popover.offsetHeight + 10
+      $popover.style.top = `${isAbove ? top - $popover.offsetHeight - 8 : top + rect.height + 8}px`
+      $popover.style.left = `${Math.min(Math.max(rect.left + rect.width / 2 + window.scrollX, $popover.offsetWidth / 2 + 8), document.documentElement.clientWidth - $popover.offsetWidth / 2 - 8)}px`
+    }
+
+    // IndexedDB 被禁用時（部分隱私模式）open 會失敗，此時隱藏批註的入口
+    const disable = err => {
+      console.error('Annotations are unavailable: ', err)
+      store = null
+      hidePopover()
+      panel && panel.close()
+      const $button = document.getElementById('annotations-button')
+      $button && $button.remove()
+      return null
+    }
+
+    const applyRecord = record => {
+      const range = btf.anchorText($article, record.selector)
+      marks[record.id] = range ? btf.markRange(range, markClass) : []
+      marks[record.id].forEach(mark => {
+        mark.dataset.annotationId = record.id
+        mark.classList.toggle('has-note', !!record.note)
+      })
+    }
+
+    const create = async range => {
+      const selector = btf.describeRange($article, range)
+      if (!selector || !selector.exact.trim()) return null
+
+      const record = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        path: getPath(),
+        title: GLOBAL_CONFIG_SITE.title,
+        selector,
+        note: '',
+        time: Date.now()
+      }
+      try {
+        await store.put(record)
+      } catch (err) {
+        return disable(err)
+      }
+      records.push(record)
+      window.getSelection().removeAllRanges()
+      applyRecord(record)
+      return record
+    }
+
+    const remove = async id => {
+      try {
+        await store.delete(id)
+      } catch (err) {
+        return disable(err)
+      }
+      btf.unmarkText(marks[id] || [])
+      delete marks[id]
+      records = records.filter(record => record.id !== id)
+      panel && panel.isOpen() && render()
+    }
+
+    const updateNote = async (id, note) => {
+      const record = records.find(record => record.id === id)
+      if (!record) return
+      record.note = note
+      try {
+        await store.put(record)
+      } catch (err) {
+        return disable(err)
+      }
+      ;(marks[id] || []).forEach(mark => mark.classList.toggle('has-note', !!note))
+    }
+
+    const render = () => {
+      const { $list } = panel
+      $list.textContent = ''
+
+      if (!records.length) {
+        $list.innerHTML = '<div class="side-panel-empty">选中文字即可添加高亮和笔记</div>'
+        return
+      }
+
+      records
+        .slice()
+        .sort((a, b) => a.selector.start - b.selector.start)
+        .forEach(record => {
+          const $item = document.createElement('div')
+          $item.className = 'side-panel-item'
+          $item.dataset.id = record.id
+          $item.innerHTML = `
+            <blockquote class="annotations-item-quote"></blockquote>
+            ${marks[record.id] && marks[record.id].length ? '' : '<div class="annotations-item-missing">文章已修改，找不到这段原文</div>'}
+            <textarea class="side-panel-note" rows="2" placeholder="添加笔记"></textarea>
+            <button class="side-panel-remove" type="button" title="删除"><i class="fas fa-trash-alt"></i></button>`
+          $item.querySelector('blockquote').textContent = record.selector.exact
+          $item.querySelector('textarea').value = record.note
+          $list.appendChild($item)
+        })
+    }
+
+    const exportMarkdown = async () => {
+      const groups = {}
+      let all
+      try {
+        all = await store.getAll()
+      } catch (err) {
+        return disable(err)
+      }
+      all.forEach(record => {
+        (groups[record.path] = groups[record.path] || []).push(record)
+      })
+
+      const content = Object.values(groups).map(items => {
+        items.sort((a, b) => a.selector.start - b.selector.start)
+        const url = location.origin + encodeURI(items[0].path)
+        const notes = items.map(({ selector, note }) => {
+          const quote = selector.exact.trim().split('\n').map(line => `> ${line}`).join('\n')
+          return note ? `${quote}\n\n${note}` : quote
+        })
+        return [`## [${items[0].title}](${url})`, ...notes].join('\n\n')
+      })
+
+      if (!content.length) return panel.showStatus('还没有批注')
+      downloadFile(`annotations-${new Date().toISOString().slice(0, 10)}.md`, `# 批注\n\n${content.join('\n\n')}\n`, 'text/markdown')
+    }
+
+    const createPanel = () => {
+      panel = createSidePanel({
+        id: 'annotations-panel',
+        title: '批注',
+        icon: 'fas fa-highlighter',
+        actions: '<button class="annotations-export" type="button" title="导出 Markdown"><i class="fab fa-markdown"></i></button>'
+      })
+      const { $panel } = panel
+
+      $panel.addEventListener('click', e => {
+        if (e.target.closest('.annotations-export')) return exportMarkdown()
+
+        const $remove = e.target.closest('.side-panel-remove')
+        if ($remove) return remove($remove.parentNode.dataset.id)
+
+        // 點擊引用跳到原文
+        const $quote = e.target.closest('.annotations-item-quote')
+        const mark = $quote && (marks[$quote.parentNode.dataset.id] || [])[0]
+        if (mark) {
+          panel.close()
+          btf.revealElement(mark)
+          btf.scrollToDest(btf.getEleTop(mark) - window.innerHeight / 3, 300)
+        }
+      })
+
+      $panel.addEventListener('change', e => {
+        e.target.matches('.side-panel-note') && updateNote(e.target.parentNode.dataset.id, e.target.value.trim())
+      })
+    }
+
+    const openPanel = (focusId = '') => {
+      if (!store) return
+      panel || createPanel()
+      render()
+      panel.open()
+      const $note = focusId && panel.$list.querySelector(`[data-id="${focusId}"] .side-panel-note`)
+      $note && $note.focus()
+    }
+
+    const handlePopoverClick = async e => {
+      const $button = e.target.closest('button')
+      if (!$button) return
+      const { action } = $button.dataset
+      const { mode, id } = $popover.dataset
+      const range = pendingRange
+
+      if (mode === 'annotation') {
+        const record = records.find(record => record.id === id)
+        if (!record) return hidePopover()
+        if (action === 'note') {
+          hidePopover()
+          openPanel(id)
+        } else if (action === 'copy-quote') {
+          copy(toQuote(record.selector.exact, getFragmentUrl(record.selector)))
+        } else if (action === 'remove') {
+          hidePopover()
+          remove(id)
+        }
+        return
+      }
+
+      if (!range) return hidePopover()
+      if (action === 'copy-link' || action === 'copy-quote') {
+        const selector = btf.describeRange($article, range)
+        const url = getFragmentUrl(selector)
+        copy(action === 'copy-link' ? `${range.toString().trim()}\n\n${url}` : toQuote(range.toString(), url))
+        return
+      }
+
+      hidePopover()
+      const record = await create(range)
+      record && action === 'note' && openPanel(record.id)
+    }
+
+    const handleSelection = btf.debounce(() => {
+      if (!store || !$article || !$article.isConnected) return
+      const selection = window.getSelection()
+      const range = selection.rangeCount && !selection.isCollapsed && selection.getRangeAt(0)
+      if (!range || !$article.contains(range.commonAncestorContainer) || !range.toString().trim()) {
+        $popover && $popover.dataset.mode === 'selection' && hidePopover()
+        return
+      }
+      pendingRange = range.cloneRange()
+      showPopover(range.getBoundingClientRect(), 'selection')
+    }, 200)
+
+    const handleMarkClick = e => {
+      const mark = e.target.closest(`mark.${markClass}`)
+      if (!store || !mark || !window.getSelection().isCollapsed) return
+      showPopover(mark.getBoundingClientRect(), 'annotation', mark.dataset.annotationId)
+    }
+
+    const init = async () => {
+      hidePopover()
+      panel && panel.close()
+      $article = document.getElementById('article-container')
+      records = []
+      marks = {}
+      if (!store || !$article) return
+
+      btf.addGlobalFn('pjaxSendOnce', hidePopover)
+
+      const $readmode = document.getElementById('readmode')
+      if ($readmode && !document.getElementById('annotations-button')) {
+        $readmode.insertAdjacentHTML('afterend', '<button id="annotations-button" type="button" title="批注"><i class="fas fa-highlighter"></i></button>')
+        // 跳轉到其他頁面時移除，下一篇文章會重新加上
+        btf.addGlobalFn('pjaxSendOnce', () => {
+          const $button = document.getElementById('annotations-button')
+          $button && $button.remove()
+        }, 'removeAnnotationsButton')
+      }
+
+      btf.addEventListenerPjax($article, 'click', handleMarkClick)
+
+      const path = getPath()
+      try {
+        records = (await store.getAll()).filter(record => record.path === path)
+      } catch (err) {
+        return disable(err)
+      }
+      records.forEach(applyRecord)
+    }
+
+    if (store) {
+      document.addEventListener('selectionchange', handleSelection)
+      document.addEventListener('mousedown', e => {
+        $popover && !$popover.contains(e.target) && !e.target.closest(`mark.${markClass}`) && hidePopover()
+      })
+    }
+
+    return { init, openPanel }
+  })()
+
+  /**
+   * 段落連結和文字片段
+   * 段落、列表項和代碼塊按所在章節編號，例如 #超时处理-p3 是「超时处理」下的第三段
+   * 不支持 #:~:text= 的瀏覽器用 btf.findTextFragment 找到文字並高亮
+   */
+  const blockLinks = (() => {
+    const blockSelector = 'p, li, figure.highlight, pre[class*="language-"]'
+    let $article = null
+    let $button = null
+    let $current = null
+    let fragmentMarks = []
+    let pinned = false
+    let isFirstLoad = true
+
+    const getType = ele => ele.matches('p') ? 'p' : ele.matches('li') ? 'li' : 'code'
+
+    // 嵌套的塊只算最外層，例如列表項裡的段落
+    const getOuterBlock = ele => {
+      let block = ele && ele.closest(blockSelector)
+      while (block && block.parentElement.closest(blockSelector)) block = block.parentElement.closest(blockSelector)
+      return block && $article.contains(block) ? block : null
+    }
+
+    const assignIds = () => {
+      let section = ''
+      let counters = {}
+      $article.querySelectorAll(`h1,h2,h3,h4,h5,h6,${blockSelector}`).forEach(ele => {
+        if (/^H[1-6]$/.test(ele.tagName)) {
+          section = ele.id
+          counters = {}
+          return
+        }
+        if (getOuterBlock(ele) !== ele) return
+
+        const type = getType(ele)
+        counters[type] = (counters[type] || 0) + 1
+        const id = `${section ? `${section}-` : ''}${type}${counters[type]}`
+        if (!ele.id && !document.getElementById(id)) ele.id = id
+        ele.classList.add('block-link')
+      })
+    }
+
+    const scrollToEle = ele => {
+      btf.revealElement(ele)
+      btf.scrollToDest(btf.getEleTop(ele) - window.innerHeight / 3, 300)
+    }
+
+    const flash = ele => {
+      ele.classList.remove('block-target')
+      // 讀一次佈局強制重排，動畫才會重新開始
+      ele.getBoundingClientRect()
+      ele.classList.add('block-target')
+    }
+
+    const copyLink = ele => {
+      const hash = `#${encodeURI(ele.id)}`
+      btf.copyWithNotice(location.origin + location.pathname + hash, $button)
+      btf.updateAnchor(hash)
+      pinned = true
+      flash(ele)
+    }
+
+    const hideButton = () => {
+      $button && $button.classList.remove('show')
+      $current = null
+    }
+
+    const showButton = ele => {
+      if (!$button) {
+        $button = document.createElement('button')
+        $button.type = 'button'
+        $button.className = 'block-permalink'
+        $button.title = '复制段落链接'
+        $button.innerHTML = '<i class="fas fa-link"></i>'
+        document.body.appendChild($button)
+        $button.addEventListener('click', () => { $current && copyLink($current) })
+        $button.addEventListener('mouseleave', e => {
+          $current && !$current.contains(e.relatedTarget) && hideButton()
+        })
+      }
+
+      $current = ele
+      const rect = ele.getBoundingClientRect()
+      $button.style.top = `${rect.top + window.scrollY}px`
+      $button.style.left = `${Math.max($article.getBoundingClientRect().left - 28, 2) + window.scrollX}px`
+      $button.classList.add('show')
+    }
+
+    const handleMouseover = e => {
+      const ele = getOuterBlock(e.target)
+      if (ele === $current) return
+      ele && ele.id ? showButton(ele) : hideButton()
+    }
+
+    const handleMouseleave = e => {
+      e.relatedTarget !== $button && hideButton()
+    }
+
+    // 文字片段的後備高亮，和搜索關鍵詞一樣用 btf.highlightText
+    const highlightRange = range => btf.getTextNodes($article).nodes
+      .map(({ node }) => node)
+      .filter(node => range.intersectsNode(node))
+      .map(node => {
+        const start = node === range.startContainer ? range.startOffset : 0
+        const end = node === range.endContainer ? range.endOffset : node.nodeValue.length
+        return { node, start, end }
+      })
+      .filter(({ node, start, end }) => node.nodeValue.slice(start, end).trim())
+      .flatMap(({ node, start, end }) => btf.highlightText(node, {
+        start: 0,
+        end: node.nodeValue.length,
+        hits: [{ position: start, length: end - start }]
+      }, 'text-fragment'))
+
+    const scrollToBlock = id => {
+      try {
+        id = decodeURIComponent(id)
+      } catch (e) {
+        return
+      }
+      const ele = id && document.getElementById(id)
+      if (ele && ele.classList.contains('block-link') && $article.contains(ele)) {
+        pinned = true
+        scrollToEle(ele)
+        flash(ele)
+      }
+    }
+
+    // 支持 Text Fragments 的瀏覽器會從 location.hash 去掉 :~:，只能從導航記錄判斷
+    const hasNativeDirective = () => {
+      if (!isFirstLoad || !window.performance || !performance.getEntriesByType) return false
+      const [entry] = performance.getEntriesByType('navigation')
+      return !!entry && entry.name.includes(':~:')
+    }
+
+    const applyHash = () => {
+      btf.unmarkText(fragmentMarks)
+      fragmentMarks = []
+
+      const hash = location.hash.slice(1)
+      const directiveIndex = hash.indexOf(':~:')
+      const id = directiveIndex === -1 ? hash : hash.slice(0, directiveIndex)
+      pinned = directiveIndex !== -1 || hasNativeDirective()
+      isFirstLoad = false
+
+      const directives = directiveIndex === -1 || 'fragmentDirective' in document
+        ? []
+        : hash.slice(directiveIndex + 3).split('&').filter(item => item.startsWith('text='))
+      if (!directives.length) return scrollToBlock(id)
+
+      directives.forEach(item => {
+        const range = btf.findTextFragment($article, item.slice(5))
+        range && fragmentMarks.push(...highlightRange(range))
+      })
+      fragmentMarks.length ? scrollToEle(fragmentMarks[0]) : scrollToBlock(id)
+    }
+
+    const init = () => {
+      hideButton()
+      $article = document.getElementById('article-container')
+      if (!$article) return
+
+      assignIds()
+      btf.addEventListenerPjax($article, 'mouseover', handleMouseover)
+      btf.addEventListenerPjax($article, 'mouseleave', handleMouseleave)
+      btf.addEventListenerPjax(window, 'hashchange', applyHash)
+      applyHash()
+    }
+
+    // 段落連結和文字片段留在網址裡，目錄滾動時不會換成標題的錨點
+    const isPinned = () => pinned
+
+    return { init, isPinned }
+  })()
+
+  const lazyloadImg = () => {
+    window.lazyLoadInstance = new LazyLoad({
+      elements_selector: 'img',
+      threshold: 0,
+      data_src: 'lazy-src'
+    })
+
+    btf.addGlobalFn('pjaxComplete', () => {
+      window.lazyLoadInstance.update()
+    }, 'lazyload')
+  }
+
+  const relativeDate = selector => {
     selector.forEach(item => {
       item.textContent = btf.diffDate(item.getAttribute('datetime'), true)
       item.style.display = 'inline'
@@ -871,6 +2790,7 @@ document.addEventListener('DOMContentLoaded', () => {
     menuMask && menuMask.addEventListener('click', () => { sidebarFn.close() })
 
     clickFnOfSubMenu()
+    offlineFn.register()
     GLOBAL_CONFIG.islazyloadPlugin && lazyloadImg()
     GLOBAL_CONFIG.copyright !== undefined && addCopyright()
 
@@ -884,6 +2804,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const forPostFn = () => {
     addHighlightTool()
+    addCodeLineTool()
     addPhotoFigcaption()
     addJustifiedGallery(document.querySelectorAll('#article-container .gallery-container'))
     runLightbox()
@@ -891,14 +2812,23 @@ document.addEventListener('DOMContentLoaded', () => {
     addTableWrap()
     clickFnOfTagHide()
     tabsFn()
+    blockLinks.init()
   }
 
   const refreshFn = () => {
+    bookmarks.addMenuItem()
     initAdjust()
     justifiedIndexPostUI()
 
+    findInPage.close()
+
     if (GLOBAL_CONFIG_SITE.pageType === 'post') {
+      addFindInPageButton()
+      offlineFn.addButton()
+      bookmarks.addPostButtons()
+      annotations.init()
       addPostOutdateNotice()
+      readingProgress.track()
       GLOBAL_CONFIG.relativeDate.post && relativeDate(document.querySelectorAll('#post-meta time'))
     } else {
       GLOBAL_CONFIG.relativeDate.homepage && relativeDate(document.querySelectorAll('#recent-posts time'))
@@ -907,6 +2837,8 @@ document.addEventListener('DOMContentLoaded', () => {
       toggleCardCategory()
     }
 
+    readingProgress.renderAside()
+
     GLOBAL_CONFIG_SITE.pageType === 'home' && scrollDownInIndex()
     scrollFn()
 
@@ -1,59 +1,15 @@
 window.addEventListener('load', () => {
   const { algolia } = GLOBAL_CONFIG
-  const { appId, apiKey, indexName, hitsPerPage = 5, languages } = algolia
+  const { appId, apiKey, indexName, hitsPerPage = 5, facets = [], dateRange = false, dateAttribute = 'date_as_int', infiniteHits = false, hitAttributes = [] } = algolia
+  const languages = Object.assign({}, algolia.languages, {
+    facets: Object.assign({ tags: '标签', categories: '分类' }, algolia.languages.facets)
+  })
 
   if (!appId || !apiKey || !indexName) {
     return console.error('Algolia setting is invalid!')
   }
 
-  const $searchMask = document.getElementById('search-mask')
-  const $searchDialog = document.querySelector('#algolia-search .search-dialog')
-
-  const animateElements = show => {
-    const action = show ? 'animateIn' : 'animateOut'
-    const maskAnimation = show ? 'to_show 0.5s' : 'to_hide 0.5s'
-    const dialogAnimation = show ? 'titleScale 0.5s' : 'search_close .5s'
-    btf[action]($searchMask, maskAnimation)
-    btf[action]($searchDialog, dialogAnimation)
-  }
-
-  const fixSafariHeight = () => {
-    if (window.innerWidth < 768) {
-      $searchDialog.style.setProperty('--search-height', `${window.innerHeight}px`)
-    }
-  }
-
-  const openSearch = () => {
-    btf.overflowPaddingR.add()
-    animateElements(true)
-    setTimeout(() => { document.querySelector('#algolia-search .ais-SearchBox-input').focus() }, 100)
-
-    const handleEscape = event => {
-      if (event.code === 'Escape') {
-        closeSearch()
-        document.removeEventListener('keydown', handleEscape)
-      }
-    }
-
-    document.addEventListener('keydown', handleEscape)
-    fixSafariHeight()
-    window.addEventListener('resize', fixSafariHeight)
-  }
-
-  const closeSearch = () => {
-    btf.overflowPaddingR.remove()
-    animateElements(false)
-    window.removeEventListener('resize', fixSafariHeight)
-  }
-
-  const searchClickFn = () => {
-    btf.addEventListenerPjax(document.querySelector('#search-button > .search'), 'click', openSearch)
-  }
-
-  const searchFnOnce = () => {
-    $searchMask.addEventListener('click', closeSearch)
-    document.querySelector('#algolia-search .search-close-button').addEventListener('click', closeSearch)
-  }
+  const { preTag: highlightPreTag, postTag: highlightPostTag, escape: escapeHtml, mark: highlight } = btf.searchHighlight
 
   const cutContent = (content) => {
     if (!content) return ''
@@ -79,96 +35,156 @@ window.addEventListener('load', () => {
     return `${pre}${content.substring(start, end)}${post}`
   }
 
-  const disableDiv = [
-    document.getElementById('algolia-hits'),
-    document.getElementById('algolia-pagination'),
-    document.querySelector('#algolia-info .algolia-stats')
-  ]
-
   const searchClient = typeof algoliasearch === 'function' ? algoliasearch : window['algoliasearch/lite'].liteClient
-  const search = instantsearch({
+
+  // instantsearch keeps the search state and sends the requests, the shared controller renders the dialog.
+  // A configure connector carries the whole query, a hits connector reports every new response back.
+  const instantSearch = instantsearch({
     indexName,
     searchClient: searchClient(appId, apiKey),
     searchFunction (helper) {
-      disableDiv.forEach(item => {
-        item.style.display = helper.state.query ? '' : 'none'
-      })
       if (helper.state.query) helper.search()
     }
   })
 
-  const widgets = [
-    instantsearch.widgets.configure({ hitsPerPage }),
-    instantsearch.widgets.searchBox({
-      container: '#algolia-search-input',
-      showReset: false,
-      showSubmit: false,
-      placeholder: languages.input_placeholder,
-      showLoadingIndicator: true
-    }),
-    instantsearch.widgets.hits({
-      container: '#algolia-hits',
-      templates: {
-        item (data) {
-          const link = data.permalink || (GLOBAL_CONFIG.root + data.path)
-          const result = data._highlightResult
-          const content = result.contentStripTruncate
-            ? cutContent(result.contentStripTruncate.value)
-            : result.contentStrip
-              ? cutContent(result.contentStrip.value)
-              : result.content
-                ? cutContent(result.content.value)
-                : ''
-          return `
-            <a href="${link}" class="algolia-hit-item-link">
-              <span class="algolia-hits-item-title">${result.title.value || 'no-title'}</span>
-              ${content ? `<div class="algolia-hit-item-content">${content}</div>` : ''}
-            </a>`
-        },
-        empty (data) {
-          return `<div id="algolia-hits-empty">${languages.hits_empty.replace(/\$\{query}/, data.query)}</div>`
-        }
-      }
-    }),
-    instantsearch.widgets.stats({
-      container: '#algolia-info > .algolia-stats',
-      templates: {
-        text (data) {
-          const stats = languages.hits_stats
-            .replace(/\$\{hits}/, data.nbHits)
-            .replace(/\$\{time}/, data.processingTimeMS)
-          return `<hr>${stats}`
-        }
-      }
-    }),
-    instantsearch.widgets.poweredBy({
-      container: '#algolia-info > .algolia-poweredBy'
-    }),
-    instantsearch.widgets.pagination({
-      container: '#algolia-pagination',
-      totalPages: 5,
-      templates: {
-        first: '<i class="fas fa-angle-double-left"></i>',
-        last: '<i class="fas fa-angle-double-right"></i>',
-        previous: '<i class="fas fa-angle-left"></i>',
-        next: '<i class="fas fa-angle-right"></i>'
-      }
-    })
-  ]
+  let refineQuery = null
+  let pending = null
+  let lastResults = null
 
-  search.addWidgets(widgets)
-  search.start()
-  searchClickFn()
-  searchFnOnce()
+  const settle = (method, value) => {
+    if (!pending) return
+    pending[method](value)
+    pending = null
+  }
 
-  window.addEventListener('pjax:complete', () => {
-    if (!btf.isHidden($searchMask)) closeSearch()
-    searchClickFn()
+  const queryWidget = instantsearch.connectors.connectConfigure(({ refine }) => {
+    refineQuery = refine
   })
 
-  if (window.pjax) {
-    search.on('render', () => {
-      window.pjax.refresh(document.getElementById('algolia-hits'))
+  const resultsWidget = instantsearch.connectors.connectHits(({ results }) => {
+    if (!results || results === lastResults) return
+    lastResults = results
+    settle('resolve', {
+      hits: results.hits,
+      total: results.nbHits,
+      page: results.page,
+      pages: results.nbPages,
+      time: results.processingTimeMS,
+      facets: Object.fromEntries(facets.map(facet => {
+        const values = results.getFacetValues(facet) || []
+        return [facet, Object.fromEntries(values.map(({ name, count }) => [name, count]))]
+      }))
     })
+  })
+
+  // Optional date range filter on a numeric timestamp attribute, in seconds as indexed by hexo-algolia
+  const createDateRange = () => {
+    const range = document.createElement('div')
+    range.className = 'search-date-range'
+    range.innerHTML = '<input type="date" data-range="from"><span class="search-date-range-separator">~</span><input type="date" data-range="to">'
+    const results = document.getElementById('algolia-hits')
+    results.parentNode.insertBefore(range, results)
+    return range
+  }
+
+  const $dateRange = dateRange && createDateRange()
+
+  const getNumericFilters = () => {
+    if (!$dateRange) return []
+    const toSeconds = (value, endOfDay) => Math.floor(new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).getTime() / 1000)
+    const from = $dateRange.querySelector('[data-range="from"]').value
+    const to = $dateRange.querySelector('[data-range="to"]').value
+    const filters = []
+    from && filters.push(`${dateAttribute}>=${toSeconds(from)}`)
+    to && filters.push(`${dateAttribute}<=${toSeconds(to, true)}`)
+    return filters
+  }
+
+  const searchParameters = { hitsPerPage, highlightPreTag, highlightPostTag, disjunctiveFacets: facets }
+
+  // Values of one facet are OR-ed, different facets are AND-ed
+  const queryAlgolia = ({ query, page, facets: selected }) => {
+    // A newer query supersedes the pending one
+    settle('resolve', null)
+    return new Promise((resolve, reject) => {
+      pending = { resolve, reject }
+      refineQuery(Object.assign({}, searchParameters, {
+        query,
+        page,
+        disjunctiveFacetsRefinements: selected,
+        numericFilters: getNumericFilters()
+      }))
+    })
+  }
+
+  const formatDate = value => {
+    const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value)
+    return isNaN(date) ? '' : date.toLocaleDateString()
   }
+
+  // Extra attributes of a hit, enabled with GLOBAL_CONFIG.algolia.hitAttributes
+  const attributeRenderers = {
+    cover: value => `<img class="algolia-hit-item-cover" src="${escapeHtml(value)}" alt="" loading="lazy">`,
+    date: value => formatDate(value) && `<time class="algolia-hit-item-date"><i class="far fa-calendar-alt"></i> ${formatDate(value)}</time>`,
+    updated: value => formatDate(value) && `<time class="algolia-hit-item-date"><i class="fas fa-history"></i> ${formatDate(value)}</time>`,
+    tags: value => [].concat(value).map(tag => `<span class="algolia-hit-item-tag">${escapeHtml(tag.name || tag)}</span>`).join(''),
+    categories: value => [].concat(value).map(category => `<span class="algolia-hit-item-category">${escapeHtml(category.name || category)}</span>`).join('')
+  }
+
+  const renderAttributes = data => hitAttributes
+    .filter(attribute => attribute !== 'cover' && attributeRenderers[attribute] && data[attribute])
+    .map(attribute => attributeRenderers[attribute](data[attribute]))
+    .join('')
+
+  const renderHit = data => {
+    const link = data.permalink || (GLOBAL_CONFIG.root + data.path)
+    const result = data._highlightResult
+    const content = result.contentStripTruncate
+      ? cutContent(highlight(result.contentStripTruncate.value))
+      : result.contentStrip
+        ? cutContent(highlight(result.contentStrip.value))
+        : result.content
+          ? cutContent(highlight(result.content.value))
+          : ''
+    const cover = hitAttributes.includes('cover') && data.cover ? attributeRenderers.cover(data.cover) : ''
+    const meta = renderAttributes(data)
+    return `
+      <a href="${escapeHtml(link)}" class="algolia-hit-item-link">
+        ${cover}
+        <span class="algolia-hits-item-title">${(result.title && highlight(result.title.value)) || 'no-title'}</span>
+        ${meta ? `<div class="algolia-hit-item-meta">${meta}</div>` : ''}
+        ${content ? `<div class="algolia-hit-item-content">${content}</div>` : ''}
+      </a>`
+  }
+
+  instantSearch.addWidgets([
+    queryWidget({ searchParameters }),
+    // The hits are highlighted and escaped by renderHit
+    resultsWidget({ escapeHTML: false }),
+    instantsearch.widgets.poweredBy({
+      container: '#algolia-info > .algolia-poweredBy'
+    })
+  ])
+  instantSearch.on('error', ({ error }) => settle('reject', error))
+  instantSearch.start()
+
+  const search = btf.searchController({
+    id: 'algolia-search',
+    languages,
+    searchBox: document.getElementById('algolia-search-input'),
+    results: document.getElementById('algolia-hits'),
+    stats: document.querySelector('#algolia-info > .algolia-stats'),
+    pagination: document.getElementById('algolia-pagination'),
+    listClass: 'ais-Hits-list',
+    hitClass: 'ais-Hits-item',
+    titleSelector: '.algolia-hits-item-title',
+    facets,
+    infinite: infiniteHits,
+    load: () => {},
+    query: queryAlgolia,
+    cancel: () => settle('resolve', null),
+    renderHit
+  })
+
+  $dateRange && $dateRange.addEventListener('change', search.refresh)
 })
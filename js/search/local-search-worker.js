@@ -0,0 +1,42 @@
+/**
+ * Run the LocalSearch pipeline (fetch, parse, index, match) off the main thread
+ * in:  { type: 'load', options } | { type: 'query', id, query, options } | { type: 'cancel', id }
+ * out: { type: 'loaded' } | { type: 'error', message } | { type: 'result', id, result } | { type: 'error', id, message }
+ */
+
+importScripts('local-search.js')
+
+let localSearch = null
+let pendingQuery = null
+let timer = null
+
+// Queries are deferred one task, so a newer query or a cancel arriving meanwhile replaces them
+const runQuery = () => {
+  timer = null
+  if (!pendingQuery) return
+  const { id, query, options } = pendingQuery
+  pendingQuery = null
+  try {
+    self.postMessage({ type: 'result', id, result: localSearch.getResultItems(query, options) })
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message })
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'load':
+      localSearch = new LocalSearch(data.options)
+      localSearch.fetchData()
+        .then(() => self.postMessage({ type: 'loaded' }))
+        .catch(err => self.postMessage({ type: 'error', message: err.message }))
+      break
+    case 'query':
+      pendingQuery = data
+      if (!timer) timer = setTimeout(runQuery, 0)
+      break
+    case 'cancel':
+      if (pendingQuery && pendingQuery.id === data.id) pendingQuery = null
+      break
+  }
+})
@@ -4,17 +4,206 @@
  * Modified by hexo-theme-butterfly
  */
 
+// The worker lives next to this script, it imports this file again for the LocalSearch class
+const localSearchWorkerPath = typeof document !== 'undefined' && document.currentScript
+  ? new URL('local-search-worker.js', document.currentScript.src).href
+  : ''
+
+// Bump when the shape of the cached entries or index changes
+const localSearchCacheFormat = 4
+
 class LocalSearch {
   constructor ({
     path = '',
     unescape = false,
-    top_n_per_article = 1
+    top_n_per_article = 1,
+    fuzzy = false,
+    workerPath = ''
   }) {
     this.path = path
     this.unescape = unescape
     this.top_n_per_article = top_n_per_article
+    this.fuzzy = fuzzy
+    this.workerPath = workerPath
     this.isfetched = false
     this.datas = null
+    this.index = null
+    this.loading = null
+    this.worker = null
+    this.queryId = 0
+    this.pendingQuery = null
+  }
+
+  // Split text into index terms: latin words as a whole, CJK runs as overlapping bigrams
+  tokenize (text) {
+    const tokens = []
+    const matches = text.toLowerCase().match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+|[a-z0-9_\u00c0-\u024f]+/g) || []
+    matches.forEach(match => {
+      if (!/^[a-z0-9_\u00c0-\u024f]/.test(match) && match.length > 1) {
+        for (let i = 0; i < match.length - 1; i++) {
+          tokens.push(match.substr(i, 2))
+        }
+      } else {
+        tokens.push(match)
+      }
+    })
+    return tokens
+  }
+
+  // Replace every CJK character with its pinyin initial, the result keeps the positions of the text
+  getInitials (text) {
+    const letters = 'abcdefghjklmnopqrstwxyz'
+    const boundaries = '阿八嚓哒妸发旮哈讥咔垃痳拏噢妑七呥扨它穵夕丫帀'
+    if (!this.collator) this.collator = new Intl.Collator('zh-Hans-CN-u-co-pinyin')
+
+    return text.toLowerCase().replace(/[\u4e00-\u9fff]/g, char => {
+      let low = 0
+      let high = boundaries.length - 1
+      if (this.collator.compare(char, boundaries[0]) < 0) return char
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2)
+        if (this.collator.compare(char, boundaries[mid]) >= 0) low = mid
+        else high = mid - 1
+      }
+      return letters[low]
+    })
+  }
+
+  // Optimal string alignment distance, gives up as soon as it exceeds max
+  editDistance (source, target, max) {
+    let prevPrev = null
+    let prev = Array.from({ length: target.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= source.length; i++) {
+      const current = [i]
+      let rowMin = i
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1
+        current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost)
+        if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+          current[j] = Math.min(current[j], prevPrev[j - 2] + 1)
+        }
+        rowMin = Math.min(rowMin, current[j])
+      }
+      if (rowMin > max) return max + 1
+      prevPrev = prev
+      prev = current
+    }
+    return prev[target.length]
+  }
+
+  // Build an inverted index (term => Map(docId => weighted term frequency))
+  buildIndex (datas, titleWeight = 5) {
+    const postings = new Map()
+    const docLengths = []
+    let totalLength = 0
+
+    const addTokens = (tokens, id, weight) => {
+      tokens.forEach(token => {
+        let posting = postings.get(token)
+        if (!posting) {
+          posting = new Map()
+          postings.set(token, posting)
+        }
+        posting.set(id, (posting.get(id) || 0) + weight)
+      })
+    }
+
+    datas.forEach(({ title, content }, id) => {
+      const titleTokens = this.tokenize(title)
+      const contentTokens = this.tokenize(content)
+      addTokens(titleTokens, id, titleWeight)
+      addTokens(contentTokens, id, 1)
+      docLengths[id] = titleTokens.length + contentTokens.length
+      totalLength += docLengths[id]
+    })
+
+    return {
+      postings,
+      terms: [...postings.keys()].sort(),
+      initials: datas.map(({ title }) => this.getInitials(title)),
+      docLengths,
+      avgLength: datas.length ? totalLength / datas.length : 0
+    }
+  }
+
+  // BM25 score of every document containing one of the terms, the best matching term counts
+  scoreTerms (terms, k1 = 1.2, b = 0.75) {
+    const { postings, docLengths, avgLength } = this.index
+    const total = docLengths.length
+    const best = new Map()
+
+    terms.forEach(term => {
+      const posting = postings.get(term)
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5))
+      posting.forEach((tf, id) => {
+        const norm = tf + k1 * (1 - b + b * docLengths[id] / avgLength)
+        const score = idf * tf * (k1 + 1) / norm
+        if (score > (best.get(id) || 0)) best.set(id, score)
+      })
+    })
+
+    return best
+  }
+
+  // Index terms starting with the token, the sorted terms are binary searched for the first one
+  prefixTerms (token) {
+    const { terms } = this.index
+    let low = 0
+    let high = terms.length
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (terms[mid] < token) low = mid + 1
+      else high = mid
+    }
+    const result = []
+    for (let i = low; i < terms.length && terms[i].startsWith(token); i++) {
+      result.push(terms[i])
+    }
+    return result
+  }
+
+  // Score documents against the terms of the keywords.
+  // A query token matches every index term it begins, so unfinished words still hit.
+  searchIndex (keywords) {
+    const scores = new Map()
+
+    keywords.forEach(keyword => {
+      this.tokenize(keyword).forEach(token => {
+        const terms = this.prefixTerms(token)
+        this.scoreTerms(terms).forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score))
+      })
+    })
+
+    return scores
+  }
+
+  // Latin tokens without any exact term match the terms within a bounded edit distance,
+  // latin keywords also match the pinyin initials of Chinese titles.
+  searchFuzzy (keywords, penalty = 0.5) {
+    const scores = new Map()
+    const words = new Set()
+    const addScore = (score, id) => scores.set(id, (scores.get(id) || 0) + score * penalty)
+
+    keywords.forEach(keyword => {
+      this.tokenize(keyword).forEach(token => {
+        const maxDistance = token.length < 4 ? 0 : token.length < 8 ? 1 : 2
+        if (!maxDistance || !/^[a-z]/.test(token) || this.prefixTerms(token).length) return
+
+        const terms = this.index.terms.filter(term => {
+          return Math.abs(term.length - token.length) <= maxDistance && this.editDistance(token, term, maxDistance) <= maxDistance
+        })
+        terms.forEach(term => words.add(term))
+        this.scoreTerms(terms).forEach(addScore)
+      })
+
+      if (/^[a-z]{2,}$/.test(keyword)) {
+        this.index.initials.forEach((initials, id) => {
+          initials.includes(keyword) && addScore(1, id)
+        })
+      }
+    })
+
+    return { scores, words: [...words] }
   }
 
   getIndexByWord (words, text, caseSensitive = false) {
@@ -26,9 +215,7 @@ class LocalSearch {
     }
     words.forEach(word => {
       if (this.unescape) {
-        const div = document.createElement('div')
-        div.innerText = word
-        word = div.innerHTML
+        word = word.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
       }
       const wordLen = word.length
       if (wordLen === 0) return
@@ -53,6 +240,16 @@ class LocalSearch {
     return [index, included]
   }
 
+  // Combine several position indexes, keeping the order of getIndexByWord
+  mergeIndex (...indexes) {
+    return [].concat(...indexes).sort((left, right) => {
+      if (left.position !== right.position) {
+        return left.position - right.position
+      }
+      return right.word.length - left.word.length
+    })
+  }
+
   // Merge hits into slices
   mergeIntoSlice (start, end, index) {
     let item = index[0]
@@ -101,17 +298,159 @@ class LocalSearch {
     return result
   }
 
-  getResultItems (keywords) {
-    const resultItems = []
-    this.datas.forEach(({ title, content, url }) => {
-      // The number of different keywords included in the article.
-      const [indexOfTitle, keysOfTitle] = this.getIndexByWord(keywords, title)
-      const [indexOfContent, keysOfContent] = this.getIndexByWord(keywords, content)
-      const includedCount = new Set([...keysOfTitle, ...keysOfContent]).size
+  // Parse the search input: "exact phrase", -exclude, title:, tag:, category: and date:>2024-01.
+  // A leading - also negates a field filter, e.g. -tag:react
+  parseQuery (input) {
+    const isXml = !this.path.endsWith('json')
+    const escape = value => isXml ? value.replace(/</g, '&lt;').replace(/>/g, '&gt;') : value
+    const query = {
+      keywords: [],
+      phrases: [],
+      excludes: [],
+      title: [],
+      tag: [],
+      category: [],
+      date: [],
+      exclude: { title: [], tag: [], category: [], date: [] },
+      // Selected facet values in lower case, filled in by the facet panel
+      facets: { tag: [], category: [], year: [] }
+    }
+    const pattern = /(-?)(?:(title|tag|category|date):)?(?:"([^"]*)"?|(\S+))/g
+    let match
+
+    while ((match = pattern.exec(input.toLowerCase())) !== null) {
+      const [, exclude, field, phrase, word] = match
+      const value = (phrase !== undefined ? phrase : word).trim()
+      if (!value) continue
+
+      const filters = exclude ? query.exclude : query
+      if (field === 'date') {
+        const [, op = '', date] = value.match(/^([<>]=?)?(.*)$/)
+        date && filters.date.push({ op, value: date })
+      } else if (field) {
+        filters[field].push(field === 'title' ? escape(value) : value)
+      } else if (exclude) {
+        query.excludes.push(escape(value))
+      } else if (phrase !== undefined) {
+        query.phrases.push(escape(value))
+      } else {
+        // A hyphen inside a word still separates keywords
+        query.keywords.push(...escape(value).split('-').filter(Boolean))
+      }
+    }
+
+    return query
+  }
+
+  // Whether an entry passes the phrases, exclusions and field filters of the query
+  matchQuery (data, query) {
+    const title = data.title.toLowerCase()
+    // The content is only lowered when a phrase or an exclusion has to be looked up in it
+    let text = null
+    const getText = () => text || (text = `${title}\n${data.content.toLowerCase()}`)
+    const hasValue = (values, value) => values.some(item => typeof item === 'string' && item.toLowerCase() === value)
+    const matchDate = ({ op, value }) => {
+      if (!data.date) return false
+      const date = data.date.slice(0, value.length)
+      switch (op) {
+        case '>': return date > value
+        case '>=': return date >= value
+        case '<': return date < value
+        case '<=': return date <= value
+        default: return date === value
+      }
+    }
+
+    const matchField = {
+      title: value => title.includes(value),
+      tag: value => hasValue(data.tags, value),
+      category: value => hasValue(data.categories, value),
+      date: matchDate
+    }
+
+    return query.phrases.every(phrase => getText().includes(phrase)) &&
+      !query.excludes.some(exclude => getText().includes(exclude)) &&
+      Object.entries(matchField).every(([field, match]) => {
+        return query[field].every(match) && !query.exclude[field].some(match)
+      })
+  }
+
+  // Tag, category and year values of an entry, the facets the results are counted by
+  getFacets (data) {
+    return {
+      tag: data.tags,
+      category: data.categories,
+      year: data.date ? [data.date.slice(0, 4)] : []
+    }
+  }
+
+  // The facets an entry fails, the values selected in one facet are alternatives to each other
+  failedFacets (data, selected) {
+    const facets = this.getFacets(data)
+    return Object.keys(selected).filter(facet => {
+      const values = selected[facet]
+      return values.length !== 0 && !facets[facet].some(value => values.includes(value.toLowerCase()))
+    })
+  }
+
+  countFacets (counts, data, facets) {
+    const values = this.getFacets(data)
+    facets.forEach(facet => {
+      values[facet].forEach(value => { counts[facet][value] = (counts[facet][value] || 0) + 1 })
+    })
+  }
+
+  // Match and rank the entries into { hits, total, facets }.
+  // Only the hits in [offset, offset + limit) get their snippets cut and highlighted, they are the ones rendered.
+  getResultItems (query, { offset = 0, limit = Infinity } = {}) {
+    const keywords = [...query.keywords, ...query.phrases, ...query.title]
+    const exactScores = this.searchIndex(keywords)
+    const fuzzy = this.fuzzy ? this.searchFuzzy(query.keywords) : { scores: new Map(), words: [] }
+    const pinyinKeywords = this.fuzzy ? query.keywords.filter(keyword => /^[a-z]{2,}$/.test(keyword)) : []
+    // Without any keyword the filters select from all entries
+    const ids = keywords.length
+      ? new Set([...exactScores.keys(), ...fuzzy.scores.keys()])
+      : this.datas.map((data, id) => id)
+
+    const matches = []
+    const facetCounts = { tag: {}, category: {}, year: {} }
+    ids.forEach(id => {
+      const data = this.datas[id]
+      if (!this.matchQuery(data, query)) return
+
+      // Each facet is counted with its own selection left out, so an entry failing only that facet still counts there
+      const failed = this.failedFacets(data, query.facets)
+      if (failed.length < 2) this.countFacets(facetCounts, data, failed.length ? failed : Object.keys(facetCounts))
+      if (failed.length) return
+
+      matches.push({
+        id,
+        exact: !keywords.length || exactScores.has(id),
+        score: (exactScores.get(id) || 0) + (fuzzy.scores.get(id) || 0)
+      })
+    })
+
+    // Fuzzy hits always rank below exact ones
+    matches.sort((left, right) => {
+      if (left.exact !== right.exact) {
+        return left.exact ? -1 : 1
+      } else if (left.score !== right.score) {
+        return right.score - left.score
+      }
+      return left.id - right.id
+    })
+
+    const hits = matches.slice(offset, offset + limit).map(({ id, exact, score }) => {
+      let { title, content, url } = this.datas[id]
+      // Candidates come from the index, the exact positions are needed for highlighting
+      let [indexOfTitle] = this.getIndexByWord(keywords, title)
+      let [indexOfContent] = this.getIndexByWord(keywords, content)
 
-      // Show search results
-      const hitCount = indexOfTitle.length + indexOfContent.length
-      if (hitCount === 0) return
+      if (this.fuzzy) {
+        // Pinyin initials line up with the title, so their positions highlight the Chinese characters
+        indexOfTitle = this.mergeIndex(indexOfTitle, this.getIndexByWord(fuzzy.words, title)[0], this.getIndexByWord(pinyinKeywords, this.index.initials[id])[0])
+        indexOfContent = this.mergeIndex(indexOfContent, this.getIndexByWord(fuzzy.words, content)[0])
+      }
 
       const slicesOfTitle = []
       if (indexOfTitle.length !== 0) {
@@ -128,6 +467,10 @@ class LocalSearch {
         slicesOfContent.push(this.mergeIntoSlice(start, end, indexOfContent))
       }
 
+      if (!keywords.length) {
+        slicesOfContent.push({ hits: [], start: 0, end: Math.min(content.length, 100), count: 0 })
+      }
+
       // Sort slices in content by included keywords' count and hits' count
       slicesOfContent.sort((left, right) => {
         if (left.count !== right.count) {
@@ -147,74 +490,231 @@ class LocalSearch {
       let resultItem = ''
 
       url = new URL(url, location.origin)
-      url.searchParams.append('highlight', keywords.join(' '))
+      keywords.length && url.searchParams.append('highlight', keywords.concat(fuzzy.words).join(' '))
 
       if (slicesOfTitle.length !== 0) {
-        resultItem += `<li class="local-search-hit-item"><a href="${url.href}"><span class="search-result-title">${this.highlightKeyword(title, slicesOfTitle[0])}</span>`
+        resultItem += `<a href="${url.href}"><span class="search-result-title">${this.highlightKeyword(title, slicesOfTitle[0])}</span>`
       } else {
-        resultItem += `<li class="local-search-hit-item"><a href="${url.href}"><span class="search-result-title">${title}</span>`
+        resultItem += `<a href="${url.href}"><span class="search-result-title">${title}</span>`
       }
 
       slicesOfContent.forEach(slice => {
-        resultItem += `<p class="search-result">${this.highlightKeyword(content, slice)}...</p></a>`
+        resultItem += `<p class="search-result">${this.highlightKeyword(content, slice)}...</p>`
       })
 
-      resultItem += '</li>'
-      resultItems.push({
+      resultItem += '</a>'
+      return {
         item: resultItem,
-        id: resultItems.length,
-        hitCount,
-        includedCount
-      })
+        id,
+        // Plain text of the hit, for front-ends that render it on their own
+        title,
+        url: url.href,
+        excerpt: slicesOfContent.length ? content.substring(slicesOfContent[0].start, slicesOfContent[0].end) : '',
+        exact,
+        score
+      }
     })
-    return resultItems
+
+    return { hits, total: matches.length, facets: facetCounts }
   }
 
-  fetchData () {
+  // Decode the CDATA sections and entities of an XML text node
+  decodeXml (text) {
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[\da-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, cdata, entity) => {
+      if (cdata !== undefined) return cdata
+      if (entity[0] !== '#') return entities[entity.toLowerCase()]
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10))
+    })
+  }
+
+  // DOMParser is not available inside workers, so search.xml is read with regular expressions there
+  parseXml (res) {
+    if (typeof DOMParser !== 'undefined') {
+      return [...new DOMParser().parseFromString(res, 'text/xml').querySelectorAll('entry')].map(element => ({
+        title: element.querySelector('title').textContent,
+        content: element.querySelector('content').textContent,
+        url: element.querySelector('url').textContent,
+        tags: [...element.querySelectorAll('tags > tag')].map(tag => tag.textContent),
+        categories: [...element.querySelectorAll('categories > category')].map(category => category.textContent),
+        date: element.querySelector('date') ? element.querySelector('date').textContent : ''
+      }))
+    }
+
+    const getAll = (entry, tag) => {
+      const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g')
+      return [...entry.matchAll(pattern)].map(match => this.decodeXml(match[1]))
+    }
+    return (res.match(/<entry>[\s\S]*?<\/entry>/g) || []).map(entry => {
+      // Drop the content first, so the other fields are never matched inside of it
+      const meta = entry.replace(/<content[\s\S]*?<\/content>/, '')
+      return {
+        title: getAll(meta, 'title')[0] || '',
+        content: getAll(entry, 'content')[0] || '',
+        url: getAll(meta, 'url')[0] || '',
+        tags: getAll(meta, 'tag'),
+        categories: getAll(meta, 'category'),
+        date: getAll(meta, 'date')[0] || ''
+      }
+    })
+  }
+
+  // Get the contents from search data and build the index
+  loadData (res) {
     const isXml = !this.path.endsWith('json')
-    fetch(this.path)
-      .then(response => response.text())
-      .then(res => {
-        // Get the contents from search data
-        this.isfetched = true
-        this.datas = isXml
-          ? [...new DOMParser().parseFromString(res, 'text/xml').querySelectorAll('entry')].map(element => ({
-              title: element.querySelector('title').textContent,
-              content: element.querySelector('content').textContent,
-              url: element.querySelector('url').textContent
-            }))
-          : JSON.parse(res)
-        // Only match articles with non-empty titles
-        this.datas = this.datas.filter(data => data.title).map(data => {
-          data.title = data.title.trim()
-          data.content = data.content ? data.content.trim().replace(/<[^>]+>/g, '') : ''
-          data.url = decodeURIComponent(data.url).replace(/\/{2,}/g, '/')
-          return data
-        })
-        // Remove loading animation
-        window.dispatchEvent(new Event('search:loaded'))
-      })
+    const datas = isXml ? this.parseXml(res) : JSON.parse(res)
+    // Only match articles with non-empty titles
+    this.datas = datas.filter(data => data.title).map(data => {
+      data.title = data.title.trim()
+      data.content = data.content ? data.content.trim().replace(/<[^>]+>/g, '') : ''
+      data.url = decodeURIComponent(data.url).replace(/\/{2,}/g, '/')
+      // Tags, categories and dates are only there when the feed provides them
+      data.tags = (data.tags || []).map(tag => typeof tag === 'string' ? tag : tag && tag.name).filter(Boolean)
+      data.categories = (data.categories || []).map(category => typeof category === 'string' ? category : category && category.name).filter(Boolean)
+      data.date = data.date ? String(data.date) : ''
+      return data
+    })
+    this.index = this.buildIndex(this.datas)
   }
 
-  // Highlight by wrapping node in mark elements with the given class name
-  highlightText (node, slice, className) {
-    const val = node.nodeValue
-    let index = slice.start
-    const children = []
-    for (const { position, length } of slice.hits) {
-      const text = document.createTextNode(val.substring(index, position))
-      index = position + length
-      const mark = document.createElement('mark')
-      mark.className = className
-      mark.appendChild(document.createTextNode(val.substr(position, length)))
-      children.push(text, mark)
+  hashText (text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i)
+      hash = Math.imul(hash, 0x01000193)
     }
-    node.nodeValue = val.substring(index, slice.end)
-    children.forEach(element => {
-      node.parentNode.insertBefore(element, node)
+    return (hash >>> 0).toString(16)
+  }
+
+  // The parsed entries and the index are kept in IndexedDB between visits
+  openCache () {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+    return new Promise(resolve => {
+      const request = indexedDB.open('local-search', 1)
+      request.onupgradeneeded = () => request.result.createObjectStore('database')
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+    })
+  }
+
+  readCache (db) {
+    return new Promise(resolve => {
+      const request = db.transaction('database').objectStore('database').get(new URL(this.path, location.href).href)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(undefined)
+    })
+  }
+
+  writeCache (db, version) {
+    db.transaction('database', 'readwrite').objectStore('database').put({
+      version,
+      datas: this.datas,
+      index: this.index
+    }, new URL(this.path, location.href).href)
+  }
+
+  // Re-parse only when the search file differs from the cached version (ETag, Last-Modified or content hash)
+  async revalidate (db, cachedVersion = '') {
+    const response = await fetch(this.path, { cache: 'no-cache' })
+    // An error page must never end up in the cache as the database
+    if (!response.ok) throw new Error(`${this.path} responded with ${response.status}`)
+    const tag = response.headers.get('ETag') || response.headers.get('Last-Modified')
+    if (tag && `${localSearchCacheFormat}:${tag}` === cachedVersion) return
+
+    const res = await response.text()
+    const version = `${localSearchCacheFormat}:${tag || this.hashText(res)}`
+    if (version === cachedVersion) return
+
+    this.loadData(res)
+    db && this.writeCache(db, version)
+  }
+
+  // Serve the cached database right away and revalidate it in the background, so search also works offline
+  async loadWithCache () {
+    const db = await this.openCache()
+    const cached = db && await this.readCache(db)
+    // An entry written in an older format has another index shape, so it counts as a miss
+    if (!cached || !String(cached.version).startsWith(`${localSearchCacheFormat}:`)) return this.revalidate(db)
+
+    this.datas = cached.datas
+    this.index = cached.index
+    this.revalidate(db, cached.version).catch(err => {
+      console.error('Failed to revalidate the search database: ', err)
     })
   }
 
+  // Hand parsing, indexing and matching over to the worker, the main thread only renders
+  loadInWorker () {
+    return new Promise((resolve, reject) => {
+      this.worker = new Worker(this.workerPath)
+      this.worker.addEventListener('message', ({ data }) => {
+        if (data.type === 'loaded') {
+          resolve()
+        } else if (data.type === 'error' && data.id === undefined) {
+          reject(new Error(data.message))
+        } else if (this.pendingQuery && this.pendingQuery.id === data.id) {
+          // A failed query rejects, so the caller can drop its loading state
+          data.type === 'error' ? this.pendingQuery.reject(new Error(data.message)) : this.pendingQuery.resolve(data.result)
+          this.pendingQuery = null
+        }
+      })
+      this.worker.addEventListener('error', reject)
+      this.worker.postMessage({
+        type: 'load',
+        options: {
+          path: new URL(this.path, location.href).href,
+          unescape: this.unescape,
+          top_n_per_article: this.top_n_per_article,
+          fuzzy: this.fuzzy
+        }
+      })
+    }).catch(err => {
+      console.error('Search worker failed, fall back to the main thread: ', err)
+      this.worker && this.worker.terminate()
+      this.worker = null
+      return this.loadWithCache()
+    })
+  }
+
+  fetchData () {
+    if (this.loading) return this.loading
+    const useWorker = this.workerPath && typeof Worker !== 'undefined'
+    const loaded = useWorker ? this.loadInWorker() : this.loadWithCache()
+    this.loading = loaded.then(() => {
+      this.isfetched = true
+      // Remove loading animation
+      typeof window !== 'undefined' && window.dispatchEvent(new Event('search:loaded'))
+    }).catch(err => {
+      this.loading = null
+      throw err
+    })
+    return this.loading
+  }
+
+  // Resolve with the result of a parsed query, or with null when a newer query superseded this one
+  query (query, options) {
+    if (!this.worker) return Promise.resolve(this.getResultItems(query, options))
+
+    this.cancelQuery()
+    const id = ++this.queryId
+    return new Promise((resolve, reject) => {
+      this.pendingQuery = { id, resolve, reject }
+      this.worker.postMessage({ type: 'query', id, query, options })
+    })
+  }
+
+  cancelQuery () {
+    if (!this.pendingQuery) return
+    this.worker.postMessage({ type: 'cancel', id: this.pendingQuery.id })
+    this.pendingQuery.resolve(null)
+    this.pendingQuery = null
+  }
+
+  // Highlight by wrapping node in mark elements with the given class name, returns the marks
+  highlightText (node, slice, className) {
+    return btf.highlightText(node, slice, className)
+  }
+
   // Highlight the search words provided in the url in the text
   highlightSearchWords (body) {
     const params = new URL(location.href).searchParams.get('highlight')
@@ -234,127 +734,73 @@ class LocalSearch {
   }
 }
 
-window.addEventListener('load', () => {
+typeof window !== 'undefined' && window.addEventListener('load', () => {
+  // Loaded only for the LocalSearch class, e.g. by the sidebar search of custom.js
+  if (!GLOBAL_CONFIG.localSearch) return
+
 // Search
-  const { path, top_n_per_article, unescape, languages } = GLOBAL_CONFIG.localSearch
+  const { path, top_n_per_article, unescape, fuzzy, preload, languages, hitsPerPage = 20 } = GLOBAL_CONFIG.localSearch
   const localSearch = new LocalSearch({
     path,
     top_n_per_article,
-    unescape
+    unescape,
+    fuzzy,
+    workerPath: localSearchWorkerPath
   })
-
-  const input = document.querySelector('#local-search-input input')
-  const statsItem = document.getElementById('local-search-stats-wrap')
-  const $loadingStatus = document.getElementById('loading-status')
-  const isXml = !path.endsWith('json')
-
-  const inputEventFunction = () => {
-    if (!localSearch.isfetched) return
-    let searchText = input.value.trim().toLowerCase()
-    isXml && (searchText = searchText.replace(/</g, '&lt;').replace(/>/g, '&gt;'))
-    if (searchText !== '') $loadingStatus.innerHTML = '<i class="fas fa-spinner fa-pulse"></i>'
-    const keywords = searchText.split(/[-\s]+/)
-    const container = document.getElementById('local-search-results')
-    let resultItems = []
-    if (searchText.length > 0) {
-    // Perform local searching
-      resultItems = localSearch.getResultItems(keywords)
-    }
-    if (keywords.length === 1 && keywords[0] === '') {
-      container.textContent = ''
-      statsItem.textContent = ''
-    } else if (resultItems.length === 0) {
-      container.textContent = ''
-      const statsDiv = document.createElement('div')
-      statsDiv.className = 'search-result-stats'
-      statsDiv.textContent = languages.hits_empty.replace(/\$\{query}/, searchText)
-      statsItem.innerHTML = statsDiv.outerHTML
-    } else {
-      resultItems.sort((left, right) => {
-        if (left.includedCount !== right.includedCount) {
-          return right.includedCount - left.includedCount
-        } else if (left.hitCount !== right.hitCount) {
-          return right.hitCount - left.hitCount
-        }
-        return right.id - left.id
-      })
-
-      const stats = languages.hits_stats.replace(/\$\{hits}/, resultItems.length)
-
-      container.innerHTML = `<ol class="search-result-list">${resultItems.map(result => result.item).join('')}</ol>`
-      statsItem.innerHTML = `<hr><div class="search-result-stats">${stats}</div>`
-      window.pjax && window.pjax.refresh(container)
-    }
-
-    $loadingStatus.textContent = ''
-  }
-
-  let loadFlag = false
-  const $searchMask = document.getElementById('search-mask')
-  const $searchDialog = document.querySelector('#local-search .search-dialog')
-
-  // fix safari
-  const fixSafariHeight = () => {
-    if (window.innerWidth < 768) {
-      $searchDialog.style.setProperty('--search-height', window.innerHeight + 'px')
-    }
-  }
-
-  const openSearch = () => {
-    btf.overflowPaddingR.add()
-    btf.animateIn($searchMask, 'to_show 0.5s')
-    btf.animateIn($searchDialog, 'titleScale 0.5s')
-    setTimeout(() => { input.focus() }, 300)
-    if (!loadFlag) {
-      !localSearch.isfetched && localSearch.fetchData()
-      input.addEventListener('input', inputEventFunction)
-      loadFlag = true
-    }
-    // shortcut: ESC
-    document.addEventListener('keydown', function f (event) {
-      if (event.code === 'Escape') {
-        closeSearch()
-        document.removeEventListener('keydown', f)
-      }
+  // Shared with the other front-ends of the database, e.g. the sidebar search of custom.js
+  window.localSearch = localSearch
+
+  // Values selected within a facet are ORed, the facets are ANDed like the Algolia refinement lists
+  const queryLocalSearch = ({ query, page, facets }) => {
+    const parsedQuery = localSearch.parseQuery(query)
+    Object.keys(parsedQuery.facets).forEach(facet => {
+      parsedQuery.facets[facet] = facets[facet].map(value => value.toLowerCase())
     })
 
-    fixSafariHeight()
-    window.addEventListener('resize', fixSafariHeight)
-  }
-
-  const closeSearch = () => {
-    btf.overflowPaddingR.remove()
-    btf.animateOut($searchDialog, 'search_close .5s')
-    btf.animateOut($searchMask, 'to_hide 0.5s')
-    window.removeEventListener('resize', fixSafariHeight)
+    return localSearch.query(parsedQuery, { offset: page * hitsPerPage, limit: hitsPerPage }).then(result => result && {
+      ...result,
+      page,
+      pages: Math.ceil(result.total / hitsPerPage)
+    })
   }
 
-  const searchClickFn = () => {
-    btf.addEventListenerPjax(document.querySelector('#search-button > .search'), 'click', openSearch)
-  }
-
-  const searchFnOnce = () => {
-    document.querySelector('#local-search .search-close-button').addEventListener('click', closeSearch)
-    $searchMask.addEventListener('click', closeSearch)
-    if (GLOBAL_CONFIG.localSearch.preload) {
-      localSearch.fetchData()
-    }
-    localSearch.highlightSearchWords(document.getElementById('article-container'))
-  }
+  // Only a page of hits is rendered at a time, the next one is appended by a load more button
+  const $results = document.getElementById('local-search-results')
+  const $pagination = document.createElement('div')
+  $pagination.id = 'local-search-pagination'
+  $results.parentNode.insertBefore($pagination, $results.nextSibling)
 
   window.addEventListener('search:loaded', () => {
     const $loadDataItem = document.getElementById('loading-database')
+    if (!$loadDataItem) return
     $loadDataItem.nextElementSibling.style.display = 'block'
     $loadDataItem.remove()
   })
 
-  searchClickFn()
-  searchFnOnce()
+  btf.searchController({
+    id: 'local-search',
+    languages,
+    input: document.querySelector('#local-search-input input'),
+    results: $results,
+    stats: document.getElementById('local-search-stats-wrap'),
+    pagination: $pagination,
+    infinite: true,
+    loadingStatus: document.getElementById('loading-status'),
+    listClass: 'search-result-list',
+    hitClass: 'local-search-hit-item',
+    titleSelector: '.search-result-title',
+    facets: ['tag', 'category', 'year'],
+    preload,
+    load: () => localSearch.fetchData(),
+    query: queryLocalSearch,
+    cancel: () => localSearch.cancelQuery(),
+    renderHit: hit => hit.item
+  })
+
+  localSearch.highlightSearchWords(document.getElementById('article-container'))
 
   // pjax
   window.addEventListener('pjax:complete', () => {
-    !btf.isHidden($searchMask) && closeSearch()
     localSearch.highlightSearchWords(document.getElementById('article-container'))
-    searchClickFn()
   })
 })
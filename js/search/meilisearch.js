@@ -0,0 +1,179 @@
+window.addEventListener('load', () => {
+  const { meilisearch } = GLOBAL_CONFIG
+  const { engine = 'meilisearch', host, apiKey = '', indexName, hitsPerPage = 5, queryBy = 'title,content' } = meilisearch
+  const languages = Object.assign({
+    title: '搜索',
+    input_placeholder: '搜索文章',
+    hits_empty: '找不到您查询的内容：${query}',
+    hits_stats: '找到 ${hits} 条结果，用时 ${time} 毫秒'
+  }, meilisearch.languages)
+
+  if (!host || !indexName) {
+    return console.error('Meilisearch setting is invalid!')
+  }
+
+  const endpoint = host.replace(/\/+$/, '')
+  const { preTag: highlightPreTag, postTag: highlightPostTag, escape: escapeHtml, mark: highlight } = btf.searchHighlight
+  let controller = null
+
+  // Words in a content snippet, a CJK character counts as one word
+  const cropLength = 40
+  const crop = text => {
+    const pattern = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[^\s\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g
+    for (let count = 0; count < cropLength; count++) {
+      if (!pattern.exec(text)) return text
+    }
+    return `${text.slice(0, pattern.lastIndex)}…`
+  }
+
+  // The template only renders the search button and dialog for algolia and local search
+  const createSearchButton = () => {
+    const $menus = document.getElementById('menus')
+    if (!$menus || document.getElementById('search-button')) return
+    const button = document.createElement('div')
+    button.id = 'search-button'
+    button.innerHTML = '<span class="site-page social-icon search"><i class="fas fa-search fa-fw"></i><span></span></span>'
+    button.querySelector('span span').textContent = ` ${languages.title}`
+    $menus.insertBefore(button, $menus.firstChild)
+  }
+
+  const createDialog = () => {
+    if (document.getElementById('meilisearch-search')) return
+
+    const dialog = document.createElement('div')
+    dialog.id = 'meilisearch-search'
+    dialog.innerHTML = `
+      <div class="search-dialog">
+        <nav class="search-nav">
+          <span class="search-dialog-title"></span>
+          <button class="search-close-button"><i class="fas fa-times"></i></button>
+        </nav>
+        <div class="search-wrap">
+          <div id="meilisearch-search-input"></div>
+          <hr>
+          <div id="meilisearch-results">
+            <div id="meilisearch-hits"></div>
+            <div id="meilisearch-pagination"></div>
+            <div id="meilisearch-info">
+              <div class="meilisearch-stats"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+      ${document.getElementById('search-mask') ? '' : '<div id="search-mask"></div>'}`
+    dialog.querySelector('.search-dialog-title').textContent = languages.title
+    document.body.appendChild(dialog)
+  }
+
+  const request = (url, options) => fetch(url, options).then(response => {
+    if (!response.ok) throw new Error(`${engine} responded with ${response.status}`)
+    return response.json()
+  })
+
+  // Both engines are normalized to { hits: [{ link, title, content }], total, page, pages, time }
+  const engines = {
+    meilisearch: ({ query, page }, signal) => request(`${endpoint}/indexes/${encodeURIComponent(indexName)}/search`, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, apiKey && { Authorization: `Bearer ${apiKey}` }),
+      body: JSON.stringify({
+        q: query,
+        page: page + 1,
+        hitsPerPage,
+        attributesToHighlight: ['title', 'content'],
+        attributesToCrop: ['content'],
+        cropLength,
+        highlightPreTag,
+        highlightPostTag
+      }),
+      signal
+    }).then(result => ({
+      hits: result.hits.map(hit => {
+        const formatted = hit._formatted || hit
+        return { link: hit.permalink || hit.url || (GLOBAL_CONFIG.root + hit.path), title: formatted.title, content: formatted.content }
+      }),
+      total: result.totalHits,
+      page: result.page - 1,
+      pages: result.totalPages,
+      time: result.processingTimeMs
+    })),
+
+    typesense: ({ query, page }, signal) => {
+      const params = new URLSearchParams({
+        q: query,
+        query_by: queryBy,
+        page: page + 1,
+        per_page: hitsPerPage,
+        highlight_fields: 'title,content',
+        highlight_start_tag: highlightPreTag,
+        highlight_end_tag: highlightPostTag
+      })
+      return request(`${endpoint}/collections/${encodeURIComponent(indexName)}/documents/search?${params}`, {
+        headers: apiKey ? { 'X-TYPESENSE-API-KEY': apiKey } : {},
+        signal
+      }).then(result => ({
+        hits: result.hits.map(({ document: doc, highlight: fields = {}, highlights = [] }) => {
+          // A field without a match comes back whole, the content is cropped like a Meilisearch snippet
+          const snippet = field => {
+            const item = fields[field] || highlights.find(item => item.field === field)
+            if (item) return item.snippet
+            return field === 'content' && doc.content ? crop(String(doc.content)) : doc[field]
+          }
+          return { link: doc.permalink || doc.url || (GLOBAL_CONFIG.root + doc.path), title: snippet('title'), content: snippet('content') }
+        }),
+        total: result.found,
+        page: result.page - 1,
+        pages: Math.ceil(result.found / hitsPerPage),
+        time: result.search_time_ms
+      }))
+    }
+  }
+
+  if (!engines[engine]) {
+    return console.error(`Unknown search engine: ${engine}`)
+  }
+
+  const cancelQuery = () => {
+    controller && controller.abort()
+    controller = null
+  }
+
+  const queryServer = data => {
+    cancelQuery()
+    controller = new AbortController()
+    return engines[engine](data, controller.signal).catch(err => {
+      // A newer query aborted this one
+      if (err.name === 'AbortError') return null
+      throw err
+    })
+  }
+
+  const renderHit = hit => {
+    const content = hit.content ? highlight(hit.content) : ''
+    return `
+      <a href="${escapeHtml(hit.link)}" class="algolia-hit-item-link">
+        <span class="algolia-hits-item-title">${hit.title ? highlight(hit.title) : 'no-title'}</span>
+        ${content ? `<div class="algolia-hit-item-content">${content}</div>` : ''}
+      </a>`
+  }
+
+  createSearchButton()
+  createDialog()
+  // pjax replaces the header, add the button back before the controller rebinds it
+  window.addEventListener('pjax:complete', createSearchButton)
+
+  btf.searchController({
+    id: 'meilisearch-search',
+    languages,
+    searchBox: document.getElementById('meilisearch-search-input'),
+    results: document.getElementById('meilisearch-hits'),
+    stats: document.querySelector('#meilisearch-info > .meilisearch-stats'),
+    pagination: document.getElementById('meilisearch-pagination'),
+    listClass: 'ais-Hits-list',
+    hitClass: 'ais-Hits-item',
+    titleSelector: '.algolia-hits-item-title',
+    load: () => {},
+    query: queryServer,
+    cancel: cancelQuery,
+    renderHit
+  })
+})
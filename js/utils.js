@@ -14,6 +14,18 @@
       }
     },
 
+    // Run at most once per animation frame, for scroll handlers that only read scrollY
+    rafThrottle: func => {
+      let frame = null
+      return (...args) => {
+        if (frame) return
+        frame = requestAnimationFrame(() => {
+          frame = null
+          func(...args)
+        })
+      }
+    },
+
     throttle: function (func, wait, options = {}) {
       let timeout, context, args
       let previous = 0
@@ -70,7 +82,7 @@
       }
     },
 
-    snackbarShow: (text, showAction = false, duration = 2000) => {
+    snackbarShow: (text, showAction = false, duration = 2000, options = {}) => {
       const { position, bgLight, bgDark } = GLOBAL_CONFIG.Snackbar
       const bg = document.documentElement.getAttribute('data-theme') === 'light' ? bgLight : bgDark
       Snackbar.show({
@@ -79,10 +91,31 @@
         showAction,
         duration,
         pos: position,
-        customClass: 'snackbar-css'
+        customClass: 'snackbar-css',
+        ...options
       })
     },
 
+    // Copy text and tell how it went: with the Snackbar when enabled, otherwise with a short .copied state on the button
+    copyWithNotice: async (text, $button) => {
+      let notice = GLOBAL_CONFIG.copy.success
+      try {
+        await navigator.clipboard.writeText(text)
+      } catch (err) {
+        notice = GLOBAL_CONFIG.copy.noSupport
+      }
+
+      if (GLOBAL_CONFIG.Snackbar !== undefined) return btf.snackbarShow(notice)
+      const title = $button.getAttribute('data-title') || $button.title
+      $button.setAttribute('data-title', title)
+      $button.title = notice
+      $button.classList.add('copied')
+      setTimeout(() => {
+        $button.classList.remove('copied')
+        $button.title = title
+      }, 800)
+    },
+
     diffDate: (inputDate, more = false) => {
       const dateNow = new Date()
       const datePost = new Date(inputDate)
@@ -329,6 +362,813 @@
       delete globalFn[key]
     },
 
+    // Wrap the case-insensitive occurrences of the keywords in the text of root with mark elements, in document order
+    markText: (root, keywords, className, skip = 'button, select, textarea, .mermaid') => {
+      const words = keywords.map(word => word.toLowerCase()).filter(Boolean)
+      if (!root || !words.length) return []
+
+      const walk = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null)
+      const nodes = []
+      while (walk.nextNode()) {
+        if (!walk.currentNode.parentNode.closest(skip)) nodes.push(walk.currentNode)
+      }
+
+      const marks = []
+      nodes.forEach(node => {
+        const text = node.nodeValue
+        const lowerText = text.toLowerCase()
+        const hits = []
+        words.forEach(word => {
+          let position = lowerText.indexOf(word)
+          while (position !== -1) {
+            hits.push({ position, length: word.length })
+            position = lowerText.indexOf(word, position + word.length)
+          }
+        })
+        if (!hits.length) return
+
+        // Overlapping hits are merged into one mark
+        hits.sort((left, right) => left.position - right.position || right.length - left.length)
+        const fragment = document.createDocumentFragment()
+        let index = 0
+        hits.forEach(({ position, length }) => {
+          if (position < index) {
+            const last = marks[marks.length - 1]
+            if (position + length > index) {
+              last.textContent += text.substring(index, position + length)
+              index = position + length
+            }
+            return
+          }
+          const mark = document.createElement('mark')
+          mark.className = className
+          mark.textContent = text.substr(position, length)
+          fragment.append(text.substring(index, position), mark)
+          marks.push(mark)
+          index = position + length
+        })
+        fragment.append(text.substring(index))
+        node.parentNode.replaceChild(fragment, node)
+      })
+      return marks
+    },
+
+    // Wrap the hits of a slice ({ start, end, hits: [{ position, length }] }) of a text node in mark elements, returns the marks
+    highlightText: (node, slice, className) => {
+      const val = node.nodeValue
+      let index = slice.start
+      const children = []
+      const marks = []
+      for (const { position, length } of slice.hits) {
+        const text = document.createTextNode(val.substring(index, position))
+        index = position + length
+        const mark = document.createElement('mark')
+        mark.className = className
+        mark.appendChild(document.createTextNode(val.substr(position, length)))
+        children.push(text, mark)
+        marks.push(mark)
+      }
+      node.nodeValue = val.substring(index, slice.end)
+      children.forEach(element => {
+        node.parentNode.insertBefore(element, node)
+      })
+      return marks
+    },
+
+    unmarkText: marks => {
+      const parents = new Set()
+      marks.forEach(mark => {
+        if (!mark.parentNode) return
+        parents.add(mark.parentNode)
+        // Keep nested marks, highlights may overlap
+        mark.replaceWith(...mark.childNodes)
+      })
+      parents.forEach(parent => parent.normalize())
+    },
+
+    // The text nodes of root in document order, with their offsets in the concatenated text
+    getTextNodes: (root, skip = 'button, select, textarea, script, style, .highlight-tools, .code-runner') => {
+      const walk = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null)
+      const nodes = []
+      let text = ''
+      while (walk.nextNode()) {
+        const node = walk.currentNode
+        if (node.parentNode.closest(skip)) continue
+        nodes.push({ node, start: text.length })
+        text += node.nodeValue
+      }
+      return { nodes, text }
+    },
+
+    // Describe a range inside root with a text quote (exact, prefix, suffix) and a text position (start, end) selector
+    describeRange: (root, range, context = 32) => {
+      const { nodes, text } = btf.getTextNodes(root)
+      const inRange = nodes.filter(({ node }) => range.intersectsNode(node))
+      if (!inRange.length) return null
+
+      const first = inRange[0]
+      const last = inRange[inRange.length - 1]
+      const start = first.start + (first.node === range.startContainer ? range.startOffset : 0)
+      const end = last.start + (last.node === range.endContainer ? range.endOffset : last.node.nodeValue.length)
+
+      return {
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - context), start),
+        suffix: text.slice(end, end + context),
+        start,
+        end
+      }
+    },
+
+    // Find the range described by describeRange again. The quote decides, the position only breaks ties,
+    // so the text is still found after edits elsewhere in root. Returns null when the quote is gone.
+    anchorText: (root, { exact, prefix = '', suffix = '', start }) => {
+      if (!exact) return null
+      const { nodes, text } = btf.getTextNodes(root)
+
+      const commonLength = (left, right) => {
+        let length = 0
+        while (length < left.length && length < right.length && left[length] === right[length]) length++
+        return length
+      }
+      const reverse = value => [...value].reverse().join('')
+
+      let best = -1
+      let bestScore = -Infinity
+      for (let index = text.indexOf(exact); index !== -1; index = text.indexOf(exact, index + 1)) {
+        const before = text.slice(Math.max(0, index - prefix.length), index)
+        const after = text.slice(index + exact.length, index + exact.length + suffix.length)
+        const distance = start === undefined ? 0 : Math.abs(index - start) / (text.length + 1)
+        const score = commonLength(reverse(before), reverse(prefix)) + commonLength(after, suffix) - distance
+        if (score > bestScore) {
+          best = index
+          bestScore = score
+        }
+      }
+      return best === -1 ? null : btf.textRange(nodes, best, best + exact.length)
+    },
+
+    // A range between two offsets in the text returned by getTextNodes
+    textRange: (nodes, start, end) => {
+      const startNode = nodes.find(({ node, start: offset }) => start < offset + node.nodeValue.length)
+      const endNode = nodes.find(({ node, start: offset }) => end <= offset + node.nodeValue.length)
+      if (!startNode || !endNode) return null
+
+      const range = document.createRange()
+      range.setStart(startNode.node, start - startNode.start)
+      range.setEnd(endNode.node, end - endNode.start)
+      return range
+    },
+
+    // Find a text fragment directive (prefix-,textStart,textEnd,-suffix) in root for browsers without native support.
+    // Matching is case-insensitive and whitespace-insensitive, word boundaries are not checked.
+    findTextFragment: (root, directive) => {
+      const parts = directive.split(',')
+      const prefix = parts[0].endsWith('-') ? parts.shift().slice(0, -1) : ''
+      const suffix = parts.length > 1 && parts[parts.length - 1].startsWith('-') ? parts.pop().slice(1) : ''
+      const [textStart, textEnd = ''] = parts
+      if (!textStart || parts.length > 2) return null
+
+      const normalize = value => value.replace(/\s+/g, ' ').trim().toLowerCase()
+      let decoded
+      try {
+        decoded = [prefix, textStart, textEnd, suffix].map(value => normalize(decodeURIComponent(value)))
+      } catch (e) {
+        return null
+      }
+      const [before, start, end, after] = decoded
+
+      // Collapse the whitespace of the text and remember the original offset of every character
+      const { nodes, text } = btf.getTextNodes(root)
+      const offsets = []
+      let flat = ''
+      for (let i = 0; i < text.length; i++) {
+        if (/\s/.test(text[i])) {
+          if (flat.endsWith(' ')) continue
+          flat += ' '
+        } else {
+          // Keep one character per offset
+          const lower = text[i].toLowerCase()
+          flat += lower.length === 1 ? lower : text[i]
+        }
+        offsets.push(i)
+      }
+
+      for (let index = flat.indexOf(start); index !== -1; index = flat.indexOf(start, index + 1)) {
+        if (before && !flat.slice(0, index).trimEnd().endsWith(before)) continue
+
+        let matchEnd = index + start.length
+        if (end) {
+          const endIndex = flat.indexOf(end, matchEnd)
+          if (endIndex === -1) return null
+          matchEnd = endIndex + end.length
+        }
+        if (after && !flat.slice(matchEnd).trimStart().startsWith(after)) continue
+
+        return btf.textRange(nodes, offsets[index], offsets[matchEnd - 1] + 1)
+      }
+      return null
+    },
+
+    // Wrap the text of range with mark elements, one for each text node it touches
+    markRange: (range, className, skip = 'button, select, textarea, script, style, .highlight-tools, .code-runner') => {
+      const root = range.commonAncestorContainer
+      const nodes = []
+      if (root.nodeType === Node.TEXT_NODE) {
+        nodes.push(root)
+      } else {
+        const walk = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null)
+        while (walk.nextNode()) {
+          const node = walk.currentNode
+          if (range.intersectsNode(node) && !node.parentNode.closest(skip)) nodes.push(node)
+        }
+      }
+
+      const { startContainer, startOffset, endContainer, endOffset } = range
+      return nodes.map(node => {
+        // Split the end first, the start offset stays valid
+        if (node === endContainer) node.splitText(endOffset)
+        const target = node === startContainer ? node.splitText(startOffset) : node
+        if (!target.nodeValue.trim()) return null
+
+        const mark = document.createElement('mark')
+        mark.className = className
+        target.replaceWith(mark)
+        mark.appendChild(target)
+        return mark
+      }).filter(Boolean)
+    },
+
+    // The URL text fragment directive (:~:text=) for a text quote, context disambiguates repeated quotes
+    textFragment: ({ exact, prefix = '', suffix = '' }, withContext = false) => {
+      const encode = value => encodeURIComponent(value).replace(/-/g, '%2D')
+      const clean = value => value.replace(/\s+/g, ' ').trim()
+      const quote = clean(exact)
+
+      // Long quotes use textStart,textEnd, cut at spaces when the text has words
+      let directive = encode(quote)
+      if (quote.length > 80) {
+        const words = quote.split(' ')
+        const [textStart, textEnd] = words.length > 10
+          ? [words.slice(0, 5).join(' '), words.slice(-5).join(' ')]
+          : [quote.slice(0, 20), quote.slice(-20)]
+        directive = `${encode(textStart)},${encode(textEnd)}`
+      }
+
+      if (withContext) {
+        const before = clean(prefix).split(' ').pop()
+        const after = clean(suffix).split(' ')[0]
+        before && (directive = `${encode(before.slice(-20))}-,${directive}`)
+        after && (directive = `${directive},-${encode(after.slice(0, 20))}`)
+      }
+
+      return `:~:text=${directive}`
+    },
+
+    // Open the collapsed code blocks, hidden contents, tabs and details that contain ele
+    revealElement: ele => {
+      let current = ele.parentElement
+      while (current && current !== document.body) {
+        if (current.matches('.hide-content') && current.previousElementSibling && current.previousElementSibling.matches('.hide-button:not(.open)')) {
+          current.previousElementSibling.click()
+        } else if (current.matches('.tab-item-content:not(.active)')) {
+          const index = [...current.parentNode.children].indexOf(current)
+          const button = current.parentNode.previousElementSibling.children[index]
+          button && button.click()
+        } else if (current.matches('details:not([open])')) {
+          current.open = true
+        } else if (current.matches('figure.highlight')) {
+          const expand = current.querySelector('.highlight-tools.closed .expand')
+          const expandBtn = current.querySelector('.code-expand-btn:not(.expand-done)')
+          expand && expand.click()
+          expandBtn && expandBtn.click()
+        }
+        current = current.parentElement
+      }
+    },
+
+    // A promise based key-value store backed by a single IndexedDB object store, the connection is shared per database
+    idbStore: (() => {
+      const connections = {}
+
+      const connect = name => {
+        connections[name] = connections[name] || new Promise((resolve, reject) => {
+          const request = indexedDB.open(name, 1)
+          request.onupgradeneeded = () => request.result.createObjectStore('items', { keyPath: 'id' })
+          request.onsuccess = () => resolve(request.result)
+          request.onerror = () => {
+            delete connections[name]
+            reject(request.error)
+          }
+        })
+        return connections[name]
+      }
+
+      return name => {
+        const run = (mode, fn) => connect(name).then(db => new Promise((resolve, reject) => {
+          const transaction = db.transaction('items', mode)
+          const request = fn(transaction.objectStore('items'))
+          transaction.oncomplete = () => resolve(request.result)
+          transaction.onerror = () => reject(transaction.error)
+        }))
+
+        return {
+          get: id => run('readonly', store => store.get(id)),
+          getAll: () => run('readonly', store => store.getAll()),
+          put: item => run('readwrite', store => store.put(item)),
+          delete: id => run('readwrite', store => store.delete(id))
+        }
+      }
+    })(),
+
+    // Keyboard support shared by the search dialogs:
+    // Ctrl/Cmd+K or / opens, arrow keys move through the hits as a listbox, Enter opens the active hit
+    searchKeyboard: ({ input, results, hitSelector, dialog, open }) => {
+      let activeIndex = -1
+      const getHits = () => results.querySelectorAll(hitSelector)
+
+      const setActive = index => {
+        const hits = getHits()
+        hits.forEach((hit, i) => {
+          hit.setAttribute('aria-selected', i === index)
+          hit.classList.toggle('active', i === index)
+        })
+        activeIndex = index
+
+        const activeHit = hits[index]
+        if (activeHit) {
+          input.setAttribute('aria-activedescendant', activeHit.id)
+          activeHit.scrollIntoView({ block: 'nearest' })
+        } else {
+          input.removeAttribute('aria-activedescendant')
+        }
+      }
+
+      const refreshHits = () => {
+        const hits = getHits()
+        if (hits.length) {
+          const list = hits[0].parentNode
+          list.id = list.id || `${results.id}-listbox`
+          list.setAttribute('role', 'listbox')
+          input.setAttribute('aria-controls', list.id)
+        }
+        hits.forEach((hit, i) => {
+          hit.id = `${results.id}-hit-${i}`
+          hit.setAttribute('role', 'option')
+        })
+        input.setAttribute('aria-expanded', hits.length > 0)
+        setActive(-1)
+      }
+
+      const handleInputKeydown = e => {
+        const hits = getHits()
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          if (!hits.length) return
+          e.preventDefault()
+          const isDown = e.key === 'ArrowDown'
+          if (activeIndex === -1) setActive(isDown ? 0 : hits.length - 1)
+          else setActive((activeIndex + (isDown ? 1 : -1) + hits.length) % hits.length)
+        } else if (e.key === 'Enter' && hits[activeIndex]) {
+          e.preventDefault()
+          const activeHit = hits[activeIndex]
+          const link = activeHit.querySelector('a') || activeHit
+          link.click()
+        }
+      }
+
+      const handleShortcut = e => {
+        // Autofill and IME composition send keydown events without a key
+        if (!e.key) return
+        const isEditable = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')
+        const isOpenKey = ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') || (e.key === '/' && !isEditable)
+        if (!isOpenKey) return
+        e.preventDefault()
+        btf.isHidden(dialog) ? open() : input.focus()
+      }
+
+      input.setAttribute('role', 'combobox')
+      input.setAttribute('aria-autocomplete', 'list')
+      input.setAttribute('aria-expanded', false)
+      input.addEventListener('keydown', handleInputKeydown)
+      document.addEventListener('keydown', handleShortcut)
+      new MutationObserver(refreshHits).observe(results, { childList: true, subtree: true })
+    },
+
+    // History of the search dialogs: recent queries and most clicked hits, shown while the query is empty
+    searchHistory: ({ input, results, titleSelector, languages = {} }) => {
+      const key = 'search-history'
+      const labels = Object.assign({ recent: '最近搜索', popular: '常看文章' }, languages)
+      const $history = document.createElement('div')
+      $history.className = 'search-history'
+      results.parentNode.insertBefore($history, results)
+
+      const load = () => btf.saveToLocal.get(key) || { queries: [], hits: [] }
+      const save = history => btf.saveToLocal.set(key, history, 365)
+
+      const saveQuery = query => {
+        if (!query) return
+        const history = load()
+        history.queries = [query, ...history.queries.filter(item => item !== query)].slice(0, 8)
+        save(history)
+      }
+
+      const saveHit = (url, title) => {
+        const history = load()
+        const hit = history.hits.find(item => item.url === url)
+        hit ? hit.count++ : history.hits.push({ url, title, count: 1 })
+        history.hits = history.hits.sort((left, right) => right.count - left.count).slice(0, 20)
+        save(history)
+      }
+
+      const createGroup = (title, items, createItem) => {
+        const group = document.createElement('div')
+        group.className = 'search-history-group'
+        group.innerHTML = '<div class="search-history-title"></div><ul class="search-history-list"></ul>'
+        group.firstChild.textContent = title
+        items.forEach(item => {
+          const li = document.createElement('li')
+          li.className = 'search-history-item'
+          li.appendChild(createItem(item))
+          li.insertAdjacentHTML('beforeend', '<button class="search-history-remove" type="button"><i class="fas fa-times"></i></button>')
+          group.lastChild.appendChild(li)
+        })
+        return group
+      }
+
+      const render = () => {
+        const { queries, hits } = load()
+        $history.textContent = ''
+
+        if (queries.length) {
+          $history.appendChild(createGroup(labels.recent, queries, query => {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = 'search-history-query'
+            button.textContent = query
+            return button
+          }))
+        }
+
+        if (hits.length) {
+          $history.appendChild(createGroup(labels.popular, hits.slice(0, 5), ({ url, title }) => {
+            const link = document.createElement('a')
+            link.className = 'search-history-hit'
+            link.href = url
+            link.textContent = title
+            return link
+          }))
+          window.pjax && window.pjax.refresh($history)
+        }
+      }
+
+      const handleHistoryClick = e => {
+        const item = e.target.closest('.search-history-item')
+        if (!item) return
+
+        const query = item.querySelector('.search-history-query')
+        const hit = item.querySelector('.search-history-hit')
+        if (e.target.closest('.search-history-remove')) {
+          const history = load()
+          if (query) history.queries = history.queries.filter(value => value !== query.textContent)
+          else history.hits = history.hits.filter(value => value.url !== hit.getAttribute('href'))
+          save(history)
+          render()
+        } else if (query) {
+          input.value = query.textContent
+          input.dispatchEvent(new Event('input'))
+          input.focus()
+        } else if (hit) {
+          saveHit(hit.getAttribute('href'), hit.textContent)
+        }
+      }
+
+      const handleResultClick = e => {
+        const link = e.target.closest('a')
+        if (!link) return
+        const url = new URL(link.href)
+        url.searchParams.delete('highlight')
+        const title = link.querySelector(titleSelector)
+        saveHit(url.origin === location.origin ? url.pathname + url.search : url.href, (title || link).textContent.trim())
+        saveQuery(input.value.trim())
+      }
+
+      $history.addEventListener('click', handleHistoryClick)
+      results.addEventListener('click', handleResultClick)
+
+      return {
+        // Only queries the user paused on are kept, not every keystroke
+        record: btf.debounce(saveQuery, 1500),
+        toggle: isEmpty => {
+          isEmpty && render()
+          $history.style.display = isEmpty ? '' : 'none'
+        }
+      }
+    },
+
+    // Server backends wrap their matches in these placeholders, mark() escapes the value before turning them into mark elements
+    searchHighlight: {
+      preTag: '__ais-highlight__',
+      postTag: '__/ais-highlight__',
+      escape: value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;'),
+      mark: value => btf.searchHighlight.escape(value)
+        .split(btf.searchHighlight.preTag).join('<mark>')
+        .split(btf.searchHighlight.postTag).join('</mark>')
+    },
+
+    /**
+     * Search dialog shared by the search backends, see local-search.js, algolia.js and meilisearch.js for adapters.
+     * Besides the elements of its dialog, an adapter provides:
+     *   load ()                          prepare the backend, called once before the first query
+     *   query ({ query, page, facets })  resolve with { hits, total, page, pages, time, facets }, or null when superseded
+     *   renderHit (hit)                  HTML of one hit
+     * An adapter passes either its own input, or a searchBox container the controller renders the input into.
+     * With adapter.infinite, later pages are appended behind a "load more" button instead of paginated.
+     */
+    searchController: adapter => {
+      const { id, languages, results, stats, pagination, loadingStatus, listClass, hitClass, titleSelector, facets = [] } = adapter
+      const $searchMask = document.getElementById('search-mask')
+      const $searchDialog = document.querySelector(`#${id} .search-dialog`)
+      const facetLabels = Object.assign({ tag: '标签', category: '分类', year: '年份' }, languages.facets)
+      const activeFacets = Object.fromEntries(facets.map(facet => [facet, new Set()]))
+      const $facets = document.createElement('div')
+      $facets.className = 'search-facets'
+      results.parentNode.insertBefore($facets, results)
+
+      const createSearchBox = container => {
+        container.innerHTML = `
+          <div class="ais-SearchBox">
+            <form class="ais-SearchBox-form" novalidate role="search">
+              <input class="ais-SearchBox-input" type="search" autocomplete="off" autocorrect="off" autocapitalize="off" spellcheck="false" maxlength="512">
+            </form>
+          </div>`
+        container.querySelector('form').addEventListener('submit', e => e.preventDefault())
+        const $input = container.querySelector('input')
+        $input.placeholder = languages.input_placeholder
+        return $input
+      }
+
+      const input = adapter.input || createSearchBox(adapter.searchBox)
+
+      let loaded = null
+      let querySeq = 0
+      let current = { query: '', page: 0 }
+
+      const load = () => {
+        if (!loaded) {
+          loaded = Promise.resolve(adapter.load()).catch(err => {
+            loaded = null
+            throw err
+          })
+        }
+        return loaded
+      }
+
+      // The query and the active facets are kept in the URL, so a filtered search can be shared
+      const updateSearchUrl = (query = '') => {
+        const url = new URL(location.href)
+        const keys = ['search', ...facets.map(facet => `search_${facet}`)]
+        keys.forEach(key => url.searchParams.delete(key))
+        if (query) {
+          url.searchParams.set('search', query)
+          Object.entries(activeFacets).forEach(([facet, values]) => {
+            values.forEach(value => url.searchParams.append(`search_${facet}`, value))
+          })
+        }
+        if (url.href === location.href) return
+        const title = GLOBAL_CONFIG_SITE.title
+        window.history.replaceState({
+          url: url.href,
+          title
+        }, title, url.href)
+      }
+
+      const renderFacets = (counts = {}) => {
+        $facets.textContent = ''
+        Object.entries(activeFacets).forEach(([facet, values]) => {
+          const facetCounts = new Map(Object.entries(counts[facet] || {}))
+          values.forEach(value => facetCounts.has(value) || facetCounts.set(value, 0))
+          if (!facetCounts.size) return
+
+          const group = document.createElement('div')
+          group.className = 'search-facet'
+          group.innerHTML = '<div class="search-facet-title"></div>'
+          group.firstChild.textContent = facetLabels[facet] || facet
+
+          const sorted = [...facetCounts].sort((left, right) => {
+            if (facet === 'year') return right[0].localeCompare(left[0])
+            return right[1] - left[1] || left[0].localeCompare(right[0])
+          })
+          sorted.forEach(([value, count]) => {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = `search-facet-item${values.has(value) ? ' active' : ''}`
+            button.setAttribute('data-facet', facet)
+            button.setAttribute('data-value', value)
+            button.innerHTML = '<span class="search-facet-value"></span><span class="search-facet-count"></span>'
+            button.firstChild.textContent = value
+            button.lastChild.textContent = count
+            group.appendChild(button)
+          })
+          $facets.appendChild(group)
+        })
+        $facets.style.display = $facets.childElementCount ? 'block' : ''
+      }
+
+      const renderPagination = ({ page = 0, pages = 1 }) => {
+        if (!pagination) return
+        if (pages <= 1 || (adapter.infinite && page >= pages - 1)) {
+          pagination.textContent = ''
+          return
+        }
+
+        if (adapter.infinite) {
+          pagination.innerHTML = `<button class="ais-InfiniteHits-loadMore" type="button" data-page="${page + 1}">${languages.load_more || '加载更多'}</button>`
+          return
+        }
+
+        const item = (label, target, className, disabled = false) => {
+          const link = disabled
+            ? `<span class="ais-Pagination-link">${label}</span>`
+            : `<a class="ais-Pagination-link" href="#" data-page="${target}">${label}</a>`
+          return `<li class="ais-Pagination-item ${className}${disabled ? ' ais-Pagination-item--disabled' : ''}">${link}</li>`
+        }
+
+        const start = Math.max(0, Math.min(page - 3, pages - 7))
+        const end = Math.min(pages, start + 7)
+        let html = item('<i class="fas fa-angle-double-left"></i>', 0, 'ais-Pagination-item--firstPage', page === 0) +
+          item('<i class="fas fa-angle-left"></i>', page - 1, 'ais-Pagination-item--previousPage', page === 0)
+        for (let i = start; i < end; i++) {
+          html += item(i + 1, i, `ais-Pagination-item--page${i === page ? ' ais-Pagination-item--selected' : ''}`)
+        }
+        html += item('<i class="fas fa-angle-right"></i>', page + 1, 'ais-Pagination-item--nextPage', page === pages - 1) +
+          item('<i class="fas fa-angle-double-right"></i>', pages - 1, 'ais-Pagination-item--lastPage', page === pages - 1)
+        pagination.innerHTML = `<div class="ais-Pagination"><ul class="ais-Pagination-list">${html}</ul></div>`
+      }
+
+      const renderResult = result => {
+        const { hits, total, time = 0 } = result
+        if (hits.length === 0) {
+          results.textContent = ''
+          const statsDiv = document.createElement('div')
+          statsDiv.className = 'search-result-stats'
+          statsDiv.textContent = languages.hits_empty.replace(/\$\{query}/, current.query)
+          stats.innerHTML = statsDiv.outerHTML
+        } else {
+          const text = languages.hits_stats.replace(/\$\{hits}/, total).replace(/\$\{time}/, time)
+          const items = hits.map(hit => `<li class="${hitClass}">${adapter.renderHit(hit)}</li>`).join('')
+          const $list = results.querySelector(`.${listClass}`)
+          if (adapter.infinite && result.page > 0 && $list) $list.insertAdjacentHTML('beforeend', items)
+          else results.innerHTML = `<ol class="${listClass}">${items}</ol>`
+          stats.innerHTML = `<hr><div class="search-result-stats">${text}</div>`
+          window.pjax && window.pjax.refresh(results)
+        }
+        renderFacets(result.facets)
+        renderPagination(result)
+      }
+
+      const clear = () => {
+        querySeq++
+        adapter.cancel && adapter.cancel()
+        results.textContent = ''
+        stats.textContent = ''
+        pagination && (pagination.textContent = '')
+        loadingStatus && (loadingStatus.textContent = '')
+        renderFacets()
+        updateSearchUrl()
+        searchHistory.toggle(true)
+      }
+
+      const search = () => {
+        const { query, page } = current
+        if (!query) return clear()
+
+        const seq = ++querySeq
+        const selected = Object.fromEntries(Object.entries(activeFacets).map(([facet, values]) => [facet, [...values]]))
+        searchHistory.toggle(false)
+        loadingStatus && (loadingStatus.innerHTML = '<i class="fas fa-spinner fa-pulse"></i>')
+
+        load()
+          .then(() => adapter.query({ query, page, facets: selected }))
+          .then(result => {
+            // Drop the responses of superseded queries
+            if (!result || seq !== querySeq) return
+            renderResult(result)
+            updateSearchUrl(query)
+            searchHistory.record(query)
+            loadingStatus && (loadingStatus.textContent = '')
+          })
+          .catch(err => {
+            console.error('Search failed: ', err)
+            loadingStatus && (loadingStatus.textContent = '')
+          })
+      }
+
+      const handleInput = () => {
+        current = { query: input.value.trim(), page: 0 }
+        search()
+      }
+
+      const handleFacetClick = e => {
+        const target = e.target.closest('.search-facet-item')
+        if (!target) return
+        const values = activeFacets[target.getAttribute('data-facet')]
+        const value = target.getAttribute('data-value')
+        values.has(value) ? values.delete(value) : values.add(value)
+        current.page = 0
+        search()
+      }
+
+      const handlePaginationClick = e => {
+        const target = e.target.closest('[data-page]')
+        if (!target) return
+        e.preventDefault()
+        current.page = parseInt(target.getAttribute('data-page'), 10)
+        search()
+      }
+
+      // fix safari
+      const fixSafariHeight = () => {
+        if (window.innerWidth < 768) {
+          $searchDialog.style.setProperty('--search-height', `${window.innerHeight}px`)
+        }
+      }
+
+      // shortcut: ESC
+      const handleEscape = event => {
+        if (event.code === 'Escape') closeSearch()
+      }
+
+      const openSearch = () => {
+        btf.overflowPaddingR.add()
+        btf.animateIn($searchMask, 'to_show 0.5s')
+        btf.animateIn($searchDialog, 'titleScale 0.5s')
+        setTimeout(() => { input.focus() }, 300)
+        load().catch(err => console.error('Failed to load the search backend: ', err))
+        searchHistory.toggle(!input.value.trim())
+        document.addEventListener('keydown', handleEscape)
+        fixSafariHeight()
+        window.addEventListener('resize', fixSafariHeight)
+      }
+
+      const closeSearch = () => {
+        btf.overflowPaddingR.remove()
+        btf.animateOut($searchDialog, 'search_close .5s')
+        btf.animateOut($searchMask, 'to_hide 0.5s')
+        document.removeEventListener('keydown', handleEscape)
+        window.removeEventListener('resize', fixSafariHeight)
+        updateSearchUrl()
+      }
+
+      // Open a shared search, e.g. ?search=promise&search_tag=JavaScript
+      const restoreSearchFromUrl = () => {
+        const params = new URL(location.href).searchParams
+        const query = params.get('search')
+        if (!query) return
+
+        facets.forEach(facet => {
+          activeFacets[facet] = new Set(params.getAll(`search_${facet}`))
+        })
+        input.value = query
+        openSearch()
+        handleInput()
+      }
+
+      const searchClickFn = () => {
+        btf.addEventListenerPjax(document.querySelector('#search-button > .search'), 'click', openSearch)
+      }
+
+      const searchHistory = btf.searchHistory({ input, results, titleSelector, languages: languages.history })
+      btf.searchKeyboard({ input, results, hitSelector: `.${hitClass}`, dialog: $searchDialog, open: openSearch })
+
+      input.addEventListener('input', handleInput)
+      $facets.addEventListener('click', handleFacetClick)
+      pagination && pagination.addEventListener('click', handlePaginationClick)
+      $searchMask.addEventListener('click', closeSearch)
+      document.querySelector(`#${id} .search-close-button`).addEventListener('click', closeSearch)
+
+      adapter.preload && load().catch(err => console.error('Failed to load the search backend: ', err))
+      searchClickFn()
+      restoreSearchFromUrl()
+
+      // pjax
+      window.addEventListener('pjax:complete', () => {
+        !btf.isHidden($searchMask) && closeSearch()
+        searchClickFn()
+      })
+
+      // Run the current query again from its first page, e.g. after an adapter changed its own filters
+      const refresh = () => {
+        current.page = 0
+        search()
+      }
+
+      return { open: openSearch, close: closeSearch, refresh }
+    },
+
     switchComments: (el = document, path) => {
       const switchBtn = el.querySelector('#switch-btn')
       if (!switchBtn) return
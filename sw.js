@@ -0,0 +1,137 @@
+/**
+ * Service worker
+ * shell: utils.js / main.js / CSS 等，安裝時預先緩存
+ * pages: 訪問過的頁面，stale-while-revalidate
+ * offline: 「離線保存」的文章和圖片，不會被自動清理
+ */
+const VERSION = 'v2'
+const SHELL_CACHE = `shell-${VERSION}`
+const PAGE_CACHE = `pages-${VERSION}`
+const RUNTIME_CACHE = `runtime-${VERSION}`
+const OFFLINE_CACHE = 'offline'
+const MAX_PAGES = 50
+const MAX_RUNTIME = 100
+
+const root = new URL('./', self.location).pathname
+const offlinePage = `${root}offline.html`
+
+const shellFiles = [
+  '',
+  'offline.html',
+  'manifest.json',
+  'css/index.css',
+  'css/custom.css',
+  'js/utils.js',
+  'js/main.js',
+  'js/custom.js',
+  'img/error-page.png',
+  'img/butterfly-icon.png',
+  'img/favicon.ico'
+].map(file => root + file)
+
+const trimCache = async (name, max) => {
+  const cache = await caches.open(name)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(keys.length - max, 0)).map(key => cache.delete(key)))
+}
+
+// 有緩存時先返回緩存，同時在後台更新；離線保存過的內容更新到離線緩存
+const staleWhileRevalidate = async (event, cacheName, max) => {
+  const { request } = event
+  const options = { ignoreSearch: request.mode === 'navigate' }
+  const saved = await caches.open(OFFLINE_CACHE).then(cache => cache.match(request, options))
+  const cached = saved || await caches.match(request, options)
+  const target = saved ? OFFLINE_CACHE : cacheName
+
+  const update = fetch(request).then(async response => {
+    // 不緩存錯誤頁面和跨域的 opaque 響應
+    if (response.ok && response.type === 'basic') {
+      const cache = await caches.open(target)
+      await cache.put(request, response.clone())
+      !saved && max && await trimCache(target, max)
+    }
+    return response
+  })
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}))
+    return cached
+  }
+  return update
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(shellFiles))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, PAGE_CACHE, RUNTIME_CACHE, OFFLINE_CACHE]
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  const isSameOrigin = url.origin === self.location.origin
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      staleWhileRevalidate(event, PAGE_CACHE, MAX_PAGES)
+        .catch(() => caches.match(offlinePage))
+    )
+    return
+  }
+
+  if (isSameOrigin && shellFiles.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE))
+    return
+  }
+
+  // 站內的圖片、字體和其他資源
+  if (isSameOrigin) {
+    event.respondWith(
+      staleWhileRevalidate(event, RUNTIME_CACHE, MAX_RUNTIME)
+        .catch(() => request.destination === 'image' ? caches.match(`${root}img/error-page.png`) : Response.error())
+    )
+    return
+  }
+
+  // 跨域請求（CDN、busuanzi 等）不進運行時緩存，只返回離線保存過的圖片
+  if (request.destination === 'image') {
+    event.respondWith(
+      caches.open(OFFLINE_CACHE)
+        .then(cache => cache.match(request))
+        .then(saved => saved || fetch(request))
+    )
+  }
+})
+
+// 離線保存文章：{ type: 'save-offline', urls: [...] }，通過 MessagePort 回覆
+self.addEventListener('message', event => {
+  const { data, ports } = event
+  if (!data || data.type !== 'save-offline') return
+
+  const reply = message => ports[0] && ports[0].postMessage(message)
+  event.waitUntil(
+    caches.open(OFFLINE_CACHE).then(async cache => {
+      const results = await Promise.allSettled(data.urls.map(async url => {
+        const request = new Request(url, { mode: new URL(url, self.location).origin === self.location.origin ? 'same-origin' : 'no-cors' })
+        const response = await fetch(request)
+        if (!response.ok && response.type !== 'opaque') throw new Error(`${url} responded with ${response.status}`)
+        await cache.put(url, response)
+      }))
+      const failed = results.filter(result => result.status === 'rejected').length
+      reply({ ok: !failed, saved: results.length - failed, failed })
+    }).catch(err => reply({ ok: false, error: err.message }))
+  )
+})